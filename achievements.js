@@ -0,0 +1,242 @@
+// 📁 achievements.js
+
+// Achievement and reward rules engine. Each entry in rewards.json is a rule
+// with an id, a display name, a condition and the reward sent when the rule
+// is first met:
+//
+//   { "id": "streak-3", "name": "連續達標 3 天",
+//     "condition": { "type": "streak", "days": 3 },
+//     "reward": { "image": "https://...", "text": "..." } }
+//
+// Condition types:
+//   streak           N consecutive successful days (see streak.js)
+//   smokeFreeDays    N completed, logged days with a total of zero, not
+//                    necessarily in a row
+//   smokeFreeStreak  N consecutive completed, logged days with a total of zero
+//   loggingStreak    N consecutive days with at least one logged entry
+//   lowestWeek       the last 7 completed days are the lowest 7-day total so far
+//
+// Unlocked badges are kept on the user record as
+// achievements: { [ruleId]: { day, at } }.
+
+const { addDays } = require('./dates');
+
+// Days of history needed before "lowest week" can be judged.
+const LOWEST_WEEK_MIN_DAYS = 14;
+
+const CONDITION_TYPES = ['streak', 'smokeFreeDays', 'smokeFreeStreak', 'loggingStreak', 'lowestWeek'];
+
+// Conditions that only count days logged with "+0".
+const SMOKE_FREE_TYPES = ['smokeFreeDays', 'smokeFreeStreak'];
+
+/**
+ * Validate the rule list. Throws with every problem found so a broken
+ * rewards.json stops the bot at startup instead of at the nightly summary.
+ */
+function validateRules (rules) {
+  const problems = [];
+  const ids = new Set();
+  if (!Array.isArray(rules)) throw new Error('rewards.json 必須是規則陣列');
+  rules.forEach((rule, i) => {
+    const where = `第 ${i + 1} 條規則`;
+    if (!rule.id || typeof rule.id !== 'string') problems.push(`${where}缺少 id`);
+    else if (ids.has(rule.id)) problems.push(`${where}的 id「${rule.id}」重複`);
+    ids.add(rule.id);
+    if (!rule.name || typeof rule.name !== 'string') problems.push(`${where}缺少 name`);
+    const c = rule.condition || {};
+    if (!CONDITION_TYPES.includes(c.type)) {
+      problems.push(`${where}的條件類型「${c.type}」不支援`);
+    } else if (c.type !== 'lowestWeek' && !(Number.isInteger(c.days) && c.days > 0)) {
+      problems.push(`${where}的 days 必須是正整數`);
+    }
+    const r = rule.reward || {};
+    if (!r.text || typeof r.text !== 'string') problems.push(`${where}缺少 reward.text`);
+    if (r.image != null && !/^https:\/\//.test(r.image)) problems.push(`${where}的 reward.image 必須是 https 網址`);
+  });
+  if (problems.length) throw new Error(`rewards.json 設定有誤：\n${problems.join('\n')}`);
+  return rules;
+}
+
+const rules = validateRules(require('./rewards.json'));
+
+/**
+ * Build the evaluation context from a user's history. `totals` maps days to
+ * totals, `loggedDays` is a Set of days with at least one event, `results`
+ * are the streak results from streak.js and `lastCompleteDay` is the most
+ * recent day that has ended (yesterday during the day, today at day end).
+ */
+function buildContext ({ totals, loggedDays, results, firstDay, lastCompleteDay, streak }) {
+  const streakByDay = {};
+  for (const r of results || []) streakByDay[r.day] = r.streak;
+  return { totals, loggedDays, streakByDay, firstDay, lastCompleteDay, streak };
+}
+
+// Count consecutive days ending at `day` (going back to firstDay) matching `test`.
+function countBack (ctx, day, test) {
+  let n = 0;
+  for (let d = day; d >= ctx.firstDay && test(d); d = addDays(d, -1)) n++;
+  return n;
+}
+
+// Sum of the 7 days ending on `day`.
+function weekTotal (ctx, day) {
+  let sum = 0;
+  for (let i = 0; i < 7; i++) sum += ctx.totals[addDays(day, -i)] || 0;
+  return sum;
+}
+
+/**
+ * Measure a rule's condition as of `day`. Returns { met, current, goal, asOf }
+ * where `asOf` is the day the measurement describes: conditions about whole
+ * days only look at days that have ended, so it can be earlier than `day`.
+ */
+function measure (rule, ctx, day) {
+  const c = rule.condition;
+  const complete = day < ctx.lastCompleteDay ? day : ctx.lastCompleteDay;
+  // A day without any entry is unknown, not smoke-free: "+0" logs a zero day.
+  const isZero = d => ctx.loggedDays.has(d) && (ctx.totals[d] || 0) === 0;
+  switch (c.type) {
+    case 'streak': {
+      const current = day in ctx.streakByDay ? ctx.streakByDay[day] : ctx.streak;
+      return { met: current >= c.days, current, goal: c.days, asOf: day };
+    }
+    case 'smokeFreeDays': {
+      let current = 0;
+      for (let d = ctx.firstDay; d <= complete; d = addDays(d, 1)) if (isZero(d)) current++;
+      return { met: current >= c.days, current, goal: c.days, asOf: complete };
+    }
+    case 'smokeFreeStreak': {
+      const current = countBack(ctx, complete, isZero);
+      return { met: current >= c.days, current, goal: c.days, asOf: complete };
+    }
+    case 'loggingStreak': {
+      const current = countBack(ctx, day, d => ctx.loggedDays.has(d));
+      return { met: current >= c.days, current, goal: c.days, asOf: day };
+    }
+    case 'lowestWeek': {
+      const current = weekTotal(ctx, complete);
+      const history = Math.round((Date.parse(complete) - Date.parse(ctx.firstDay)) / 86400000) + 1;
+      if (history < LOWEST_WEEK_MIN_DAYS) {
+        return { met: false, current: history, goal: LOWEST_WEEK_MIN_DAYS, asOf: complete };
+      }
+      let best = Infinity;
+      for (let d = addDays(ctx.firstDay, 6); d < complete; d = addDays(d, 1)) {
+        best = Math.min(best, weekTotal(ctx, d));
+      }
+      return { met: current < best, current, goal: best, asOf: complete };
+    }
+    default:
+      return { met: false, current: 0, goal: 1, asOf: day };
+  }
+}
+
+/**
+ * Unlock every rule met as of `day` that the user does not have yet. Mutates
+ * user.achievements and returns the newly unlocked rules.
+ */
+function evaluate (user, ctx, day) {
+  const unlocked = Object.assign({}, user.achievements);
+  const fresh = [];
+  for (const rule of rules) {
+    if (unlocked[rule.id]) continue;
+    const progress = measure(rule, ctx, day);
+    if (progress.met) {
+      unlocked[rule.id] = { day: progress.asOf, at: new Date().toISOString() };
+      fresh.push(rule);
+    }
+  }
+  user.achievements = unlocked;
+  return fresh;
+}
+
+/**
+ * Re-evaluate achievements after history before `fromDay` changed. Badges
+ * unlocked on or after `fromDay` whose condition no longer held on their
+ * unlock day are revoked, then every day from `fromDay` to `toDay` is
+ * checked for badges that are now earned. Returns { revoked, fresh }.
+ */
+function reevaluateFrom (user, ctx, fromDay, toDay) {
+  const unlocked = Object.assign({}, user.achievements);
+  const revoked = [];
+  for (const rule of rules) {
+    const badge = unlocked[rule.id];
+    if (badge && badge.day >= fromDay && !measure(rule, ctx, badge.day).met) {
+      delete unlocked[rule.id];
+      revoked.push(rule);
+    }
+  }
+  user.achievements = unlocked;
+  const fresh = [];
+  for (let day = fromDay; day <= toDay; day = addDays(day, 1)) {
+    fresh.push(...evaluate(user, ctx, day));
+  }
+  return { revoked, fresh };
+}
+
+// Text progress bar, e.g. ▰▰▰▱▱ for 3 of 5.
+function progressBar (current, goal, width = 5) {
+  const filled = Math.max(0, Math.min(width, Math.floor((current / goal) * width)));
+  return '▰'.repeat(filled) + '▱'.repeat(width - filled);
+}
+
+// Describe progress toward a locked rule.
+function describeProgress (rule, progress) {
+  if (rule.condition.type === 'lowestWeek') {
+    if (progress.goal === LOWEST_WEEK_MIN_DAYS && progress.current < LOWEST_WEEK_MIN_DAYS) {
+      return `需要 ${LOWEST_WEEK_MIN_DAYS} 天紀錄（目前 ${progress.current} 天）`;
+    }
+    return `最近 7 天 ${progress.current} 支，最低紀錄 ${progress.goal} 支`;
+  }
+  const current = Math.min(progress.current, progress.goal);
+  return `${progressBar(current, progress.goal)} ${current}/${progress.goal}`;
+}
+
+/**
+ * Compose the /成就 report: unlocked badges with their dates, then progress
+ * toward the locked ones as of `day`.
+ */
+function composeAchievementReport (user, ctx, day) {
+  const unlocked = user.achievements || {};
+  const done = rules.filter(r => unlocked[r.id]);
+  const locked = rules.filter(r => !unlocked[r.id]);
+  const lines = [`成就 ${done.length}/${rules.length}`];
+  if (done.length) {
+    lines.push('', '已解鎖：');
+    for (const rule of done) lines.push(`🏅 ${rule.name}（${unlocked[rule.id].day}）`);
+  }
+  if (locked.length) {
+    lines.push('', '進行中：');
+    for (const rule of locked) {
+      lines.push(`🔒 ${rule.name}　${describeProgress(rule, measure(rule, ctx, day))}`);
+    }
+    if (locked.some(r => SMOKE_FREE_TYPES.includes(r.condition.type))) {
+      lines.push('', '沒抽的日子記得輸入 +0，記下的無菸日才會算進去。');
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build the LINE messages announcing newly unlocked rules.
+ */
+function rewardMessages (unlockedRules) {
+  const messages = [];
+  for (const rule of unlockedRules) {
+    if (rule.reward.image) {
+      messages.push({ type: 'image', originalContentUrl: rule.reward.image, previewImageUrl: rule.reward.image });
+    }
+    messages.push({ type: 'text', text: `🏅 解鎖成就「${rule.name}」\n${rule.reward.text}` });
+  }
+  return messages;
+}
+
+module.exports = {
+  rules,
+  validateRules,
+  buildContext,
+  measure,
+  evaluate,
+  reevaluateFrom,
+  composeAchievementReport,
+  rewardMessages
+};
@@ -0,0 +1,135 @@
+// 📁 airquality.js
+
+// Air-quality alerts. A periodic check compares each user's local PM2.5 and
+// UV index with their thresholds and pushes one alert per pollution
+// episode, combining the outdoor air with what they have smoked today into
+// a "lung load" message. Settings:
+//   airAlert:   { pm25, uv, enabled }   (missing fields use the defaults)
+//   airEpisode: { pm25: true, uv: true } while a reading is above threshold
+// An episode ends once the reading falls below EPISODE_END_RATIO of the
+// threshold, so a value hovering around the line does not alert repeatedly.
+
+// PM2.5 35 µg/m³ is where Taiwan's AQI turns orange (unhealthy for
+// sensitive groups); a UV index of 8 is "very high".
+const DEFAULT_THRESHOLDS = { pm25: 35, uv: 8 };
+
+const EPISODE_END_RATIO = 0.8;
+
+// Daily count treated as a full day's smoking load when there is no plan.
+const REFERENCE_DAILY_COUNT = 10;
+
+const METRICS = {
+  pm25: { name: 'PM2.5', unit: ' µg/m³', field: 'pm25', max: 500 },
+  uv: { name: '紫外線指數', unit: '', field: 'uvIndex', max: 15 }
+};
+
+const METRIC_ALIASES = {
+  'pm2.5': 'pm25',
+  pm25: 'pm25',
+  紫外線: 'uv',
+  uv: 'uv'
+};
+
+/**
+ * The user's alert settings with defaults filled in.
+ */
+function getAirAlert (settings) {
+  return Object.assign({ enabled: true }, DEFAULT_THRESHOLDS, settings.airAlert);
+}
+
+/**
+ * Update the running episodes with new readings. Returns { episode, started }
+ * where `episode` is the new airEpisode value and `started` lists the
+ * metrics whose episode began with this reading. Missing readings leave a
+ * metric's state unchanged.
+ */
+function updateEpisodes (weather, alert, episode = {}) {
+  const next = Object.assign({}, episode);
+  const started = [];
+  for (const [key, metric] of Object.entries(METRICS)) {
+    const value = weather[metric.field];
+    if (value == null) continue;
+    if (!next[key] && value >= alert[key]) {
+      next[key] = true;
+      started.push(key);
+    } else if (next[key] && value < alert[key] * EPISODE_END_RATIO) {
+      delete next[key];
+    }
+  }
+  return { episode: next, started };
+}
+
+/**
+ * Combine the outdoor PM2.5 with today's count into a lung load between 0
+ * and 1: half from the air relative to twice the threshold, half from the
+ * count relative to the day's target (or a reference count).
+ */
+function lungLoad (pm25, threshold, count, target) {
+  const air = Math.min(1, (pm25 || 0) / (threshold * 2));
+  const smoke = Math.min(1, count / Math.max(1, target != null ? target : REFERENCE_DAILY_COUNT));
+  return (air + smoke) / 2;
+}
+
+// Advice that weighs the air against today's smoking.
+function lungAdvice (load, count) {
+  if (count === 0) return '今天還沒抽菸，肺只要對付外面的空氣就好，繼續保持！';
+  if (load >= 0.7) return `空氣已經很差了，今天又抽了 ${count} 支，肺真的很累，接下來能不抽就不抽吧。`;
+  if (load >= 0.4) return `今天已經抽了 ${count} 支，加上外面的髒空氣，今天少抽一支吧。`;
+  return `今天抽了 ${count} 支，空氣不好的日子，少抽一支肺會輕鬆很多。`;
+}
+
+/**
+ * Compose the alert for the metrics that just crossed their thresholds.
+ * `count` and `target` are today's count and plan target (or null).
+ */
+function composeAirAlert (weather, alert, started, count, target) {
+  const lines = [`🌫️ ${weather.place}空氣提醒`];
+  for (const key of started) {
+    const metric = METRICS[key];
+    lines.push(`${metric.name} ${weather[metric.field]}${metric.unit}，超過你設定的 ${alert[key]}。`);
+  }
+  if (started.includes('uv')) lines.push('紫外線很強，出門記得防曬、戴帽子。');
+  if (weather.pm25 != null) {
+    const load = lungLoad(weather.pm25, alert.pm25, count, target);
+    const filled = Math.round(load * 5);
+    lines.push('', `肺部負擔 ${'▰'.repeat(filled)}${'▱'.repeat(5 - filled)}`, lungAdvice(load, count));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Parse `/空氣 <PM2.5|紫外線> <門檻>`. Returns { key, value } or { error }.
+ */
+function parseThreshold (args) {
+  const m = /^(\S+)\s+(\d+(?:\.\d+)?)$/.exec(args.trim());
+  const key = m && METRIC_ALIASES[m[1].toLowerCase()];
+  if (!key) {
+    return { error: '格式：「/空氣 PM2.5 50」或「/空氣 紫外線 9」，也可以用「/空氣 關閉」停止提醒。' };
+  }
+  const value = parseFloat(m[2]);
+  if (!(value > 0) || value > METRICS[key].max) {
+    return { error: `${METRICS[key].name}門檻要在 0 到 ${METRICS[key].max} 之間。` };
+  }
+  return { key, value };
+}
+
+/**
+ * Describe the alert settings for /空氣.
+ */
+function describeAirAlert (alert) {
+  return [
+    `空氣提醒：${alert.enabled ? '開啟' : '關閉'}`,
+    `PM2.5 門檻 ${alert.pm25} µg/m³，紫外線指數門檻 ${alert.uv}。`,
+    '「/空氣 PM2.5 50」「/空氣 紫外線 9」調整門檻，「/空氣 關閉」或「/空氣 開啟」切換提醒。'
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  getAirAlert,
+  updateEpisodes,
+  lungLoad,
+  composeAirAlert,
+  parseThreshold,
+  describeAirAlert
+};
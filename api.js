@@ -0,0 +1,149 @@
+// 📁 api.js
+
+// Read-only JSON API mounted at /api. Every request needs a token from
+// /登入 (see auth.js), sent as "Authorization: Bearer <token>", and is rate
+// limited per client. `:id` may be "me" for the token's own user.
+//
+//   GET /api/users                       users the token may read
+//   GET /api/users/:id                   user record (streak, badges, ...)
+//   GET /api/users/:id/history?days=30   daily totals with plan targets
+//   GET /api/users/:id/events?from&to    event log (YYYY-MM-DD, inclusive)
+//   GET /api/users/:id/streak            current streak and judged days
+//   GET /api/users/:id/settings          settings
+//   GET /api/users/:id/triggers?days=30  breakdown by trigger, hour, weekday
+//
+// Errors are JSON { error } with a Chinese message.
+
+const express = require('express');
+const { getStore } = require('./store');
+const { addDays, isDayKey } = require('./dates');
+const { getTarget } = require('./plan');
+const { analyseEvents } = require('./triggers');
+const { getToday, getTimeZone, getHistory } = require('./logic');
+const { authenticate, canRead } = require('./auth');
+const { webRateLimit } = require('./ratelimit');
+
+const MAX_DAYS = 365;
+const DEFAULT_DAYS = 30;
+
+// Parse ?days=, clamped to 1..MAX_DAYS. Returns null when malformed.
+function parseDays (value) {
+  if (value == null) return DEFAULT_DAYS;
+  if (!/^\d+$/.test(value)) return null;
+  return Math.min(MAX_DAYS, Math.max(1, parseInt(value, 10)));
+}
+
+/**
+ * Daily totals for the last `days` days with each day's plan target (null
+ * without a plan), oldest first.
+ */
+async function getUserHistory (userId, settings, days) {
+  const history = await getHistory(userId, settings, days);
+  return history.map(h => Object.assign(h, { target: getTarget(settings.plan, h.day) }));
+}
+
+/**
+ * Trigger, hour and weekday breakdown of the last `days` days.
+ */
+async function getUserTriggers (userId, settings, days) {
+  const today = getToday(settings);
+  const events = await getStore().listEvents(userId, { from: addDays(today, -(days - 1)), to: today });
+  return analyseEvents(events, getTimeZone(settings));
+}
+
+function sendError (res, status, error) {
+  return res.status(status).json({ error });
+}
+
+/**
+ * Build the /api router.
+ */
+function createApiRouter () {
+  const router = express.Router();
+  router.use(webRateLimit);
+  router.use(authenticate((req, res) => sendError(res, 401, '需要有效的 token，請在聊天室輸入 /登入 取得。')));
+
+  // Resolve :id ("me" for the caller), check access and load the user.
+  router.param('id', async (req, res, next, id) => {
+    try {
+      const userId = id === 'me' ? req.auth.userId : id;
+      if (!canRead(req.auth, userId)) return sendError(res, 403, '沒有權限查看這位使用者。');
+      const user = await getStore().getUser(userId);
+      if (!user) return sendError(res, 404, '找不到這位使用者。');
+      req.user = user;
+      req.settings = await getStore().getSettings(userId);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/users', async (req, res, next) => {
+    try {
+      const ids = req.auth.admin ? await getStore().listUsers() : [req.auth.userId];
+      const users = [];
+      for (const id of ids) {
+        const user = await getStore().getUser(id);
+        if (user) users.push({ id, createdAt: user.createdAt, streak: user.streak, active: user.active !== false });
+      }
+      res.json({ users });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/users/:id', (req, res) => res.json({ user: req.user }));
+
+  router.get('/users/:id/history', async (req, res, next) => {
+    const days = parseDays(req.query.days);
+    if (days == null) return sendError(res, 400, 'days 必須是正整數。');
+    try {
+      res.json({ today: getToday(req.settings), days: await getUserHistory(req.user.id, req.settings, days) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/users/:id/events', async (req, res, next) => {
+    const { from, to } = req.query;
+    if ((from != null && !isDayKey(from)) || (to != null && !isDayKey(to))) {
+      return sendError(res, 400, 'from 與 to 必須是 YYYY-MM-DD。');
+    }
+    try {
+      res.json({ events: await getStore().listEvents(req.user.id, { from, to }) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/users/:id/streak', (req, res) => {
+    res.json({ streak: req.user.streak || 0, results: req.user.results || [] });
+  });
+
+  router.get('/users/:id/settings', (req, res) => res.json({ settings: req.settings }));
+
+  router.get('/users/:id/triggers', async (req, res, next) => {
+    const days = parseDays(req.query.days);
+    if (days == null) return sendError(res, 400, 'days 必須是正整數。');
+    try {
+      res.json(Object.assign({ days }, await getUserTriggers(req.user.id, req.settings, days)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.use((req, res) => sendError(res, 404, '沒有這個 API。'));
+  // Express recognises error handlers by their four parameters.
+  router.use((err, req, res, next) => {
+    if (err.status === 429) return sendError(res, 429, '請求太頻繁了，請稍後再試。');
+    console.error('API 錯誤', err);
+    sendError(res, 500, '伺服器發生錯誤。');
+  });
+  return router;
+}
+
+module.exports = {
+  getUserHistory,
+  getUserTriggers,
+  createApiRouter
+};
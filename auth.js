@@ -0,0 +1,166 @@
+// 📁 auth.js
+
+// Access tokens for the REST API and the web dashboard. /登入 in the chat
+// issues a token to the user; issuing a new one replaces the old one and
+// /登入 登出 revokes it. Only a SHA-256 hash of each token is stored, in the
+// settings scope TOKEN_SCOPE:
+//   { <hash>: { userId, createdAt, expiresAt } }
+// A token gives access to its owner's own data. Users listed in
+// ADMIN_USER_IDS (comma-separated LINE user ids) may read every user.
+//
+// The dashboard link does not carry the token, which would end up in access
+// logs and browser history. It carries a login code instead: short-lived,
+// single-use and kept in memory only, exchanged for the token (as a cookie)
+// when the user presses the button on /dashboard/login.
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+const TOKEN_SCOPE = 'api-tokens';
+const TOKEN_DAYS = parseInt(process.env.API_TOKEN_DAYS || '30', 10);
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Name of the cookie the dashboard keeps the token in.
+const COOKIE_NAME = 'smokebot_token';
+
+// How long a dashboard login code can be used.
+const LOGIN_CODE_MINUTES = parseInt(process.env.LOGIN_CODE_MINUTES || '10', 10);
+
+// hash of code -> { token, expiresAt }
+const loginCodes = new Map();
+
+function hashToken (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new token for a user, revoking any earlier one. Resolves to
+ * { token, expiresAt }; the token itself is never stored.
+ */
+function issueToken (userId) {
+  return getStore().withLock(TOKEN_SCOPE, async () => {
+    const tokens = await getStore().getSettings(TOKEN_SCOPE);
+    const patch = {};
+    for (const [hash, entry] of Object.entries(tokens)) {
+      if (entry.userId === userId || Date.parse(entry.expiresAt) <= Date.now()) patch[hash] = null;
+    }
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = new Date(Date.now() + TOKEN_DAYS * 86400000).toISOString();
+    patch[hashToken(token)] = { userId, createdAt: new Date().toISOString(), expiresAt };
+    await getStore().updateSettings(TOKEN_SCOPE, patch);
+    return { token, expiresAt };
+  });
+}
+
+/**
+ * Revoke every token of a user. Resolves to the number revoked.
+ */
+function revokeTokens (userId) {
+  return getStore().withLock(TOKEN_SCOPE, async () => {
+    const tokens = await getStore().getSettings(TOKEN_SCOPE);
+    const patch = {};
+    for (const [hash, entry] of Object.entries(tokens)) {
+      if (entry.userId === userId) patch[hash] = null;
+    }
+    if (Object.keys(patch).length) await getStore().updateSettings(TOKEN_SCOPE, patch);
+    return Object.keys(patch).length;
+  });
+}
+
+// Forget expired login codes.
+function pruneLoginCodes (now = Date.now()) {
+  for (const [hash, entry] of loginCodes) {
+    if (entry.expiresAt <= now) loginCodes.delete(hash);
+  }
+}
+
+/**
+ * Create a single-use login code that stands for `token` for
+ * LOGIN_CODE_MINUTES. Returns the code.
+ */
+function createLoginCode (token) {
+  pruneLoginCodes();
+  const code = crypto.randomBytes(18).toString('base64url');
+  loginCodes.set(hashToken(code), { token, expiresAt: Date.now() + LOGIN_CODE_MINUTES * 60000 });
+  return code;
+}
+
+/**
+ * Whether a login code can still be used, without using it.
+ */
+function isLoginCode (code) {
+  const entry = code ? loginCodes.get(hashToken(code)) : null;
+  return Boolean(entry && entry.expiresAt > Date.now());
+}
+
+/**
+ * Use a login code: it is removed, so it works only once. Returns the token
+ * it stands for, or null when it is unknown, expired or already used.
+ */
+function redeemLoginCode (code) {
+  if (!isLoginCode(code)) return null;
+  const hash = hashToken(code);
+  const { token } = loginCodes.get(hash);
+  loginCodes.delete(hash);
+  return token;
+}
+
+/**
+ * Look a token up. Resolves to { userId, admin } or null when the token is
+ * unknown or expired.
+ */
+async function verifyToken (token) {
+  if (!token) return null;
+  const entry = (await getStore().getSettings(TOKEN_SCOPE))[hashToken(token)];
+  if (!entry || Date.parse(entry.expiresAt) <= Date.now()) return null;
+  return { userId: entry.userId, admin: ADMIN_USER_IDS.includes(entry.userId) };
+}
+
+// The token sent with a request: a Bearer header, or the dashboard cookie.
+function readToken (req) {
+  const header = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (header) return header[1];
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === COOKIE_NAME) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+/**
+ * Express middleware that sets req.auth = { userId, admin } or answers
+ * with `onFail(req, res)`.
+ */
+function authenticate (onFail) {
+  return async (req, res, next) => {
+    try {
+      const auth = await verifyToken(readToken(req));
+      if (!auth) return onFail(req, res);
+      req.auth = auth;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Whether the authenticated caller may read `userId`'s data.
+ */
+function canRead (auth, userId) {
+  return auth.admin || auth.userId === userId;
+}
+
+module.exports = {
+  COOKIE_NAME,
+  TOKEN_DAYS,
+  LOGIN_CODE_MINUTES,
+  issueToken,
+  revokeTokens,
+  createLoginCode,
+  isLoginCode,
+  redeemLoginCode,
+  verifyToken,
+  authenticate,
+  canRead
+};
@@ -0,0 +1,157 @@
+// 📁 buddy.js
+
+// Accountability buddies. A user creates a one-time invite code with
+// /夥伴 邀請 and a trusted friend enters it with /夥伴 <code> and confirms.
+// Once paired, each of them gets a push when the other goes over their
+// target (or yesterday's count without a plan), and can send back a canned
+// encouragement that the character delivers. Each side chooses what it
+// shares: its counts, or only whether it is over or under. Either side can
+// pause the pairing or end it. The pairing is kept in both users' settings:
+//   buddy: { userId, name, since, share: 'counts' | 'status', paused }
+// where userId and name are the other side's. Open invites live in the
+// settings scope INVITE_SCOPE:
+//   { <code>: { userId, name, expiresAt } }
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+const INVITE_SCOPE = 'buddy-invites';
+
+// How long an invite code can be used.
+const INVITE_HOURS = 24;
+
+// Letters and digits that cannot be mistaken for each other.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Encouragements a buddy may send in one day.
+const MAX_CHEERS_PER_DAY = 3;
+
+// What a user shares with their buddy.
+const SHARE_LEVELS = { counts: '支數', status: '只有超標與否' };
+const DEFAULT_SHARE = 'status';
+
+const CHEERS = [
+  '我知道現在很難，但你已經做得很好了。先深呼吸三次，再決定要不要點下一支。',
+  '不用一次做到完美，今天少一支就是贏。我在這裡幫你加油！',
+  '超標一天不代表失敗，明天我們再一起重新開始。',
+  '想抽的時候傳訊息給我吧，聊幾分鐘那股衝動就會過去。',
+  '你記得為什麼要減菸嗎？我一直都記得，也一直都挺你。'
+];
+
+/**
+ * Create a one-time invite code for a user, replacing their earlier one.
+ * Resolves to { code, expiresAt }.
+ */
+function createInvite (userId, name) {
+  return getStore().withLock(INVITE_SCOPE, async () => {
+    const invites = await getStore().getSettings(INVITE_SCOPE);
+    const patch = {};
+    for (const [code, invite] of Object.entries(invites)) {
+      if (invite.userId === userId || Date.parse(invite.expiresAt) <= Date.now()) patch[code] = null;
+    }
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    } while (invites[code]);
+    const expiresAt = new Date(Date.now() + INVITE_HOURS * 3600000).toISOString();
+    patch[code] = { userId, name, expiresAt };
+    await getStore().updateSettings(INVITE_SCOPE, patch);
+    return { code, expiresAt };
+  });
+}
+
+// Codes are shown in upper case but accepted in any case.
+function normaliseCode (text) {
+  return String(text || '').trim().toUpperCase();
+}
+
+/**
+ * Look an invite up without using it. Resolves to { userId, name } or null
+ * when the code is unknown or expired.
+ */
+async function findInvite (code) {
+  const invite = (await getStore().getSettings(INVITE_SCOPE))[normaliseCode(code)];
+  if (!invite || Date.parse(invite.expiresAt) <= Date.now()) return null;
+  return invite;
+}
+
+/**
+ * Use an invite: it is removed so the code works only once. Resolves to
+ * the invite, or null when it is unknown, expired or already used.
+ */
+function consumeInvite (code) {
+  return getStore().withLock(INVITE_SCOPE, async () => {
+    const invite = await findInvite(code);
+    if (invite) await getStore().updateSettings(INVITE_SCOPE, { [normaliseCode(code)]: null });
+    return invite;
+  });
+}
+
+/**
+ * The pairing record a user keeps about their buddy.
+ */
+function newBuddy (userId, name) {
+  return { userId, name, since: new Date().toISOString(), share: DEFAULT_SHARE, paused: false };
+}
+
+/**
+ * Whether notifications flow between two paired users: neither side has
+ * paused and both still point at each other.
+ */
+function isActive (mine, theirs, userId) {
+  return Boolean(mine && theirs && !mine.paused && !theirs.paused && theirs.userId === userId);
+}
+
+// Pick a random encouragement.
+function pickCheer () {
+  return CHEERS[Math.floor(Math.random() * CHEERS.length)];
+}
+
+/**
+ * The push a buddy gets when the user goes over their limit. With the
+ * "status" share level the numbers are left out. `usesTarget` tells
+ * whether the limit is a plan target or yesterday's count.
+ */
+function composeBuddyAlert (name, share, count, limit, usesTarget) {
+  const what = usesTarget ? '今天的目標' : '昨天的支數';
+  const head = share === 'counts'
+    ? `⚠️ 你的夥伴 ${name} 今天抽到第 ${count} 支，超過${what}（${limit} 支）了。`
+    : `⚠️ 你的夥伴 ${name} 今天超過${what}了。`;
+  return `${head}\n對方現在可能有點辛苦，傳一句加油給對方吧？`;
+}
+
+/**
+ * Describe a user's pairing for /夥伴.
+ */
+function describeBuddy (buddy) {
+  if (!buddy) {
+    return [
+      '你還沒有減菸夥伴。',
+      '輸入「/夥伴 邀請」取得邀請碼，交給你信任的朋友；對方輸入「/夥伴 邀請碼」並確認後就配對完成。'
+    ].join('\n');
+  }
+  return [
+    `你的減菸夥伴：${buddy.name}（${buddy.since.slice(0, 10)} 起）`,
+    `分享給對方：${SHARE_LEVELS[buddy.share]}`,
+    buddy.paused ? '目前已暫停通知，輸入「/夥伴 恢復」重新開始。' : '你超標時對方會收到通知，對方超標時你也會。',
+    '',
+    '/夥伴 加油：傳一句鼓勵給對方',
+    '/夥伴 分享 支數 或 /夥伴 分享 狀態：選擇分享的內容',
+    '/夥伴 暫停、/夥伴 恢復、/夥伴 解除'
+  ].join('\n');
+}
+
+module.exports = {
+  INVITE_HOURS,
+  MAX_CHEERS_PER_DAY,
+  SHARE_LEVELS,
+  createInvite,
+  findInvite,
+  consumeInvite,
+  newBuddy,
+  isActive,
+  pickCheer,
+  composeBuddyAlert,
+  describeBuddy
+};
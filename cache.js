@@ -0,0 +1,63 @@
+// 📁 cache.js
+
+// Time-to-live cache kept in memory and mirrored to a JSON file, so that a
+// restart does not throw away the last good answer from an upstream API.
+// Entries are never evicted on expiry: an expired entry is reported as not
+// fresh and callers may still use it as a fallback while upstream is down.
+
+const fs = require('fs');
+
+/**
+ * Create a cache. `file` is where entries are persisted (omit it to keep
+ * the cache in memory only) and `ttl` is how long, in milliseconds, an
+ * entry counts as fresh.
+ */
+function createCache ({ file, ttl }) {
+  let entries = null;
+
+  // Load the file on first use; a missing or unreadable file means empty.
+  function load () {
+    if (entries) return entries;
+    entries = {};
+    if (file && fs.existsSync(file)) {
+      try {
+        entries = JSON.parse(fs.readFileSync(file));
+      } catch (err) {
+        console.warn(`快取檔案讀取失敗，改用空的快取：${file}`, err.message);
+      }
+    }
+    return entries;
+  }
+
+  // Write atomically like the JSON store; a failed write only costs the copy on disk.
+  function save () {
+    if (!file) return;
+    try {
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(entries));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.warn(`快取檔案寫入失敗：${file}`, err.message);
+    }
+  }
+
+  return {
+    /**
+     * Look up a key. Returns { value, fetchedAt, fresh } or null.
+     */
+    get (key) {
+      const entry = load()[key];
+      if (!entry) return null;
+      return { value: entry.value, fetchedAt: entry.fetchedAt, fresh: Date.now() - entry.fetchedAt < ttl };
+    },
+
+    set (key, value) {
+      load()[key] = { value, fetchedAt: Date.now() };
+      save();
+    }
+  };
+}
+
+module.exports = {
+  createCache
+};
@@ -0,0 +1,202 @@
+// 📁 channel-console.js
+
+// The terminal adapter: chat with the bot locally without LINE credentials.
+// Each line read from stdin is sent as a text message from the current user
+// and the answers are printed. Quick replies and card buttons are numbered;
+// "#2" taps the second one. Lines starting with ":" control the session:
+//
+//   :user <id>        talk as another user (also the name buddies see)
+//   :group <id>|off   talk inside a group chat, or back in the private chat
+//   :follow, :unfollow, :join, :leave
+//                     send the follow/unfollow event, or the group join/leave
+//   :file <path>      send a local file, e.g. a CSV for /匯入
+//   :postback <data>  send raw postback data
+//   :help, :quit
+//
+// Piped input works too, so conversations can be scripted:
+//
+//   printf '+1 咖啡\n/查詢\n' | node channel-console.js
+//
+// Data is kept in console-data.json (or console-data.sqlite) unless DATA_FILE
+// or SQLITE_FILE say otherwise, so local chats never touch the bot's real
+// data. Scheduled pushes only run in an interactive session; a script ends
+// when its input does.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_USER = 'console-user';
+
+const META_HELP = [
+  ':user <id>        換成另一位使用者',
+  ':group <id>|off   在群組裡發言，或回到一對一聊天',
+  ':follow、:unfollow、:join、:leave   送出加好友、封鎖、加入群組、離開群組',
+  ':file <路徑>      傳送檔案，例如匯入用的 CSV',
+  ':postback <data>  送出原始的 postback 資料',
+  '#<數字>           點選上一則回覆的按鈕',
+  ':quit             結束'
+].join('\n');
+
+/**
+ * Format neutral messages for the terminal. Returns { text, choices } where
+ * `choices` are the quick replies and buttons in the order they are numbered.
+ */
+function formatMessages (messages) {
+  const lines = [];
+  const choices = [];
+  for (const message of messages) {
+    if (message.type === 'image') {
+      lines.push(`[圖片] ${message.url}`);
+      continue;
+    }
+    lines.push(message.text);
+    const items = message.type === 'card' ? message.buttons : message.quickReplies;
+    if (items && items.length) {
+      lines.push(items.map(item => `[#${choices.push(item)} ${item.label}]`).join(' '));
+    }
+  }
+  return { text: lines.map(line => line.replace(/^(?=.)/gm, '  ')).join('\n'), choices };
+}
+
+/**
+ * The core's channel for a terminal. Pushes are printed with their
+ * recipient; `onPush(to, choices)` lets the session keep the buttons of a
+ * push to the current user tappable.
+ */
+function createConsoleChannel ({ output = process.stdout, onPush = () => {} } = {}) {
+  return {
+    name: '終端機',
+    async push (to, messages) {
+      const { text, choices } = formatMessages(messages);
+      output.write(`（推播給 ${to}）\n${text}\n`);
+      onPush(to, choices);
+    },
+    // Without profiles the user id doubles as the display name.
+    async getProfile (userId) {
+      return { displayName: userId };
+    },
+    async getContent (id) {
+      return fs.createReadStream(id);
+    }
+  };
+}
+
+/**
+ * Run a session reading from `input` until it ends or :quit.
+ */
+async function runConsole ({ input = process.stdin, output = process.stdout, userId = DEFAULT_USER } = {}) {
+  const { createBot } = require('./core');
+  const interactive = Boolean(input.isTTY);
+  const state = { userId, groupId: null, choices: [] };
+  const bot = createBot(createConsoleChannel({
+    output,
+    onPush: (to, choices) => {
+      if (to === state.userId && choices.length) state.choices = choices;
+    }
+  }));
+  if (interactive) bot.start();
+
+  const print = text => output.write(`${text}\n`);
+
+  async function send (incoming) {
+    const message = Object.assign({ userId: state.userId }, state.groupId ? { groupId: state.groupId } : {}, incoming);
+    const replies = await bot.handle(message);
+    if (!replies.length) return;
+    const { text, choices } = formatMessages(replies);
+    print(text);
+    // A plain acknowledgement must not hide the buttons of a push just before it.
+    if (choices.length) state.choices = choices;
+  }
+
+  async function meta (command, arg) {
+    switch (command) {
+      case 'user':
+        if (!arg) return print(`目前的使用者：${state.userId}`);
+        state.userId = arg;
+        state.choices = [];
+        return print(`現在是 ${arg}`);
+      case 'group':
+        state.groupId = !arg || arg === 'off' ? null : arg;
+        state.choices = [];
+        return print(state.groupId ? `在群組 ${state.groupId} 裡` : '回到一對一聊天');
+      case 'follow':
+      case 'unfollow':
+        if (state.groupId) return print('加好友和封鎖只在一對一聊天裡，請先輸入 :group off');
+        return send({ type: command });
+      case 'join':
+      case 'leave':
+        if (!state.groupId) return print('請先用 :group <id> 選一個群組');
+        return send({ type: command });
+      case 'file': {
+        if (!arg) return print('用法：:file <路徑>');
+        const file = path.resolve(arg);
+        if (!fs.existsSync(file)) return print(`找不到檔案：${arg}`);
+        return send({ type: 'file', file: { id: file, name: path.basename(file), size: fs.statSync(file).size } });
+      }
+      case 'postback':
+        if (!arg) return print('用法：:postback <data>');
+        return send({ type: 'postback', data: arg });
+      case 'help':
+        return print(META_HELP);
+      default:
+        return print(`不認識的指令：:${command}，輸入 :help 看看有哪些`);
+    }
+  }
+
+  async function handleLine (line) {
+    const text = line.trim();
+    if (!text) return;
+    const tap = /^#(\d+)$/.exec(text);
+    if (tap) {
+      const choice = state.choices[parseInt(tap[1], 10) - 1];
+      if (!choice) return print('沒有這個按鈕');
+      if (choice.postback == null) return send({ type: 'text', text: choice.text });
+      if (choice.text) print(`> ${choice.text}`);
+      return send({ type: 'postback', data: choice.postback });
+    }
+    const command = /^:(\w+)\s*(.*)$/.exec(text);
+    if (command) return meta(command[1], command[2].trim());
+    return send({ type: 'text', text });
+  }
+
+  const rl = readline.createInterface({ input, output: interactive ? output : undefined, terminal: interactive });
+  rl.setPrompt('> ');
+  if (interactive) {
+    print(`以 ${state.userId} 的身分聊天，輸入 :help 看控制指令。`);
+    rl.prompt();
+  }
+  for await (const line of rl) {
+    if (line.trim() === ':quit') break;
+    // Echo scripted input so the transcript reads like a conversation.
+    if (!interactive && line.trim()) print(`> ${line.trim()}`);
+    try {
+      await handleLine(line);
+    } catch (err) {
+      print(`錯誤：${err.message}`);
+    }
+    if (interactive) rl.prompt();
+  }
+  rl.close();
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  // Keep local chats out of the bot's real data.
+  process.env.DATA_FILE = process.env.DATA_FILE || './console-data.json';
+  process.env.SQLITE_FILE = process.env.SQLITE_FILE || './console-data.sqlite';
+  const userArg = process.argv.indexOf('--user');
+  runConsole({ userId: userArg > 0 ? process.argv[userArg + 1] : DEFAULT_USER })
+    // Scheduled jobs would keep the process alive after the input ends.
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('終端機聊天失敗', err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  formatMessages,
+  createConsoleChannel,
+  runConsole
+};
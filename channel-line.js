@@ -0,0 +1,100 @@
+// 📁 channel-line.js
+
+// The LINE adapter. Webhook events become neutral incoming messages for the
+// core, and the neutral messages it answers with are rendered back into LINE
+// messages: text with quick replies, Flex messages with their original
+// layout, and images. Replies use the event's reply token, pushes the
+// Messaging API push, so the bot behaves on LINE as it did before the core
+// was split out, with one difference: the reply is sent after the handler
+// finishes, so pushes it made along the way now arrive before the reply.
+
+// LINE accepts at most this many messages in one reply or push.
+const MAX_MESSAGES = 5;
+
+/**
+ * A LINE webhook event as a neutral incoming message, or null for events the
+ * bot does not answer (stickers, images, unsend, ...).
+ */
+function fromLineEvent (event) {
+  const source = event.source || {};
+  const base = { userId: source.userId };
+  if (source.type === 'group') base.groupId = source.groupId;
+  if (source.type === 'room') base.roomId = source.roomId;
+  switch (event.type) {
+    case 'message':
+      if (event.message.type === 'text') return Object.assign(base, { type: 'text', text: event.message.text });
+      if (event.message.type === 'file') {
+        const { id, fileName: name, fileSize: size } = event.message;
+        return Object.assign(base, { type: 'file', file: { id, name, size } });
+      }
+      return null;
+    case 'postback':
+      return Object.assign(base, { type: 'postback', data: event.postback.data });
+    case 'memberLeft':
+      return Object.assign(base, { type: 'memberLeft', left: event.left.members.map(m => m.userId) });
+    case 'follow':
+    case 'unfollow':
+    case 'join':
+    case 'leave':
+      return Object.assign(base, { type: event.type });
+    default:
+      return null;
+  }
+}
+
+// A neutral quick reply as a LINE quick reply item.
+function quickReplyItem (item) {
+  const action = item.postback != null
+    ? { type: 'postback', label: item.label, data: item.postback }
+    : { type: 'message', label: item.label, text: item.text };
+  if (item.postback != null && item.text) action.displayText = item.text;
+  return { type: 'action', action };
+}
+
+/**
+ * A neutral outgoing message as a LINE message.
+ */
+function toLineMessage (message) {
+  if (message.type === 'card') return { type: 'flex', altText: message.text, contents: message.flex };
+  if (message.type === 'image') return { type: 'image', originalContentUrl: message.url, previewImageUrl: message.url };
+  const out = { type: 'text', text: message.text };
+  if (message.quickReplies && message.quickReplies.length) {
+    out.quickReply = { items: message.quickReplies.map(quickReplyItem) };
+  }
+  return out;
+}
+
+/**
+ * The core's channel for a LINE Messaging API client.
+ */
+function createLineChannel (client) {
+  return {
+    name: 'LINE',
+    push: (to, messages) => client.pushMessage(to, messages.slice(0, MAX_MESSAGES).map(toLineMessage)),
+    getProfile: (userId, { groupId, roomId } = {}) => {
+      if (groupId) return client.getGroupMemberProfile(groupId, userId);
+      if (roomId) return client.getRoomMemberProfile(roomId, userId);
+      return client.getProfile(userId);
+    },
+    getContent: id => client.getMessageContent(id)
+  };
+}
+
+/**
+ * Answer one webhook event: hand it to the bot and reply with what it
+ * returns. Resolves to the reply API result, or null when nothing was sent.
+ */
+async function handleLineEvent (bot, client, event) {
+  const incoming = fromLineEvent(event);
+  if (!incoming) return null;
+  const replies = await bot.handle(incoming);
+  if (!replies.length || !event.replyToken) return null;
+  return client.replyMessage(event.replyToken, replies.slice(0, MAX_MESSAGES).map(toLineMessage));
+}
+
+module.exports = {
+  fromLineEvent,
+  toLineMessage,
+  createLineChannel,
+  handleLineEvent
+};
@@ -0,0 +1,271 @@
+// 📁 characters.js
+
+// Character content packs. Every JSON file in characters/ describes one
+// character the bot can speak as:
+//
+//   id, name, description, greeting     identity and the /角色 switch line
+//   locale                              optional language the pack is
+//                                       written in (zh-TW by default)
+//   emoticons, sounds                   decorations appended to reactions
+//   zero                                reply when today's count is back at 0
+//   reactions: [{ from, to, texts }]    count reactions; ranges start at 1,
+//                                       follow on from each other and the
+//                                       last one has no `to`
+//   weather                             opening of the weather reaction
+//   actions: [{ id, keywords, localeKeywords, reactions, effect }]
+//                                       chat categories, first match wins;
+//                                       the optional localeKeywords
+//                                       ({ en: [...], ja: [...] }) are
+//                                       matched too for users of that
+//                                       language; the optional effect
+//                                       ({ mood, affection, energy }
+//                                       deltas) feeds the companion state
+//                                       (companion.js)
+//   defaultActions                      reactions when no keyword matches
+//   moods: { happy, sad, tired }        optional; each { emoticons, lines }
+//                                       replaces the emoticons and adds a
+//                                       line while the character feels so
+//
+// Count reaction texts may use {n} (today's count), {yesterday} and
+// {comparison} (a sentence comparing today with yesterday). Packs are
+// validated when they are loaded; a broken pack stops the bot at startup.
+// The user's choice is stored in their settings as `character`. Users whose
+// language (i18n.js) differs from the pack's get the catalog's generic
+// `character.*` lines with the character's name and emoticons instead.
+
+const fs = require('fs');
+const path = require('path');
+
+const { STATS } = require('./companion');
+const { DEFAULT_LOCALE, LOCALES, t, list, has } = require('./i18n');
+
+const CHARACTER_DIR = path.join(__dirname, 'characters');
+const MOODS = ['happy', 'sad', 'tired'];
+const DEFAULT_CHARACTER = process.env.DEFAULT_CHARACTER || 'yoyo';
+
+// Check a value is a non-empty array of non-empty strings.
+function isTextList (value) {
+  return Array.isArray(value) && value.length > 0 && value.every(t => typeof t === 'string' && t !== '');
+}
+
+// Check an action effect holds only integer deltas of known stats.
+function isEffect (value) {
+  return typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([k, v]) => k in STATS && Number.isInteger(v));
+}
+
+/**
+ * Validate a content pack. Throws with every problem found.
+ */
+function validatePack (pack, file) {
+  const problems = [];
+  const where = path.basename(file);
+  if (!pack.id || !/^[a-z0-9-]+$/.test(pack.id)) problems.push('id 只能用小寫英數字與 -');
+  else if (pack.id !== path.basename(file, '.json')) problems.push(`id「${pack.id}」必須和檔名相同`);
+  if (pack.locale != null && !LOCALES.includes(pack.locale)) problems.push(`locale 只能是 ${LOCALES.join('、')}`);
+  for (const key of ['name', 'greeting', 'zero', 'weather']) {
+    if (typeof pack[key] !== 'string' || pack[key] === '') problems.push(`缺少 ${key}`);
+  }
+  for (const key of ['emoticons', 'sounds', 'defaultActions']) {
+    if (!isTextList(pack[key])) problems.push(`${key} 必須是非空的字串陣列`);
+  }
+  if (!Array.isArray(pack.reactions) || pack.reactions.length === 0) {
+    problems.push('reactions 必須是非空陣列');
+  } else {
+    let expected = 1;
+    pack.reactions.forEach((r, i) => {
+      const last = i === pack.reactions.length - 1;
+      if (r.from !== expected) problems.push(`reactions 第 ${i + 1} 段應從 ${expected} 開始`);
+      if (last ? r.to != null : !(Number.isInteger(r.to) && r.to >= r.from)) {
+        problems.push(last ? 'reactions 最後一段不能有 to' : `reactions 第 ${i + 1} 段的 to 必須是不小於 from 的整數`);
+      }
+      if (!isTextList(r.texts)) problems.push(`reactions 第 ${i + 1} 段的 texts 必須是非空的字串陣列`);
+      expected = (Number.isInteger(r.to) ? r.to : r.from) + 1;
+    });
+  }
+  if (!Array.isArray(pack.actions)) {
+    problems.push('actions 必須是陣列');
+  } else {
+    const ids = new Set();
+    pack.actions.forEach((a, i) => {
+      if (!a.id || ids.has(a.id)) problems.push(`actions 第 ${i + 1} 項缺少 id 或 id 重複`);
+      ids.add(a.id);
+      if (!isTextList(a.keywords)) problems.push(`actions「${a.id}」的 keywords 必須是非空的字串陣列`);
+      if (!isTextList(a.reactions)) problems.push(`actions「${a.id}」的 reactions 必須是非空的字串陣列`);
+      for (const [locale, keywords] of Object.entries(a.localeKeywords || {})) {
+        if (!LOCALES.includes(locale) || !isTextList(keywords)) {
+          problems.push(`actions「${a.id}」的 localeKeywords 只能有 ${LOCALES.join('、')}，而且必須是非空的字串陣列`);
+        }
+      }
+      if (a.effect != null && !isEffect(a.effect)) {
+        problems.push(`actions「${a.id}」的 effect 只能有 ${Object.keys(STATS).join('、')}，而且必須是整數`);
+      }
+    });
+  }
+  if (pack.moods != null) {
+    for (const [mood, value] of Object.entries(pack.moods)) {
+      if (!MOODS.includes(mood)) problems.push(`moods 只能有 ${MOODS.join('、')}，沒有「${mood}」`);
+      else if (!isTextList(value.emoticons) || !isTextList(value.lines)) {
+        problems.push(`moods「${mood}」的 emoticons 與 lines 必須是非空的字串陣列`);
+      }
+    }
+  }
+  if (problems.length) throw new Error(`角色檔 ${where} 有誤：\n${problems.join('\n')}`);
+  return pack;
+}
+
+/**
+ * Load and validate every pack in a directory. Returns a Map of id -> pack.
+ */
+function loadCharacters (dir = CHARACTER_DIR) {
+  const packs = new Map();
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const full = path.join(dir, file);
+    const pack = validatePack(JSON.parse(fs.readFileSync(full, 'utf8')), full);
+    packs.set(pack.id, pack);
+  }
+  if (!packs.has(DEFAULT_CHARACTER)) throw new Error(`找不到預設角色：${DEFAULT_CHARACTER}`);
+  return packs;
+}
+
+const characters = loadCharacters();
+
+// Randomly select an element from an array.
+function choice (arr) {
+  return arr[Math.floor(Math.random() * arr.length)];
+}
+
+/**
+ * The user's character, falling back to the default when unset or when the
+ * pack has since been removed.
+ */
+function getCharacter (settings) {
+  return characters.get(settings && settings.character) || characters.get(DEFAULT_CHARACTER);
+}
+
+/**
+ * Find a character by id or display name.
+ */
+function findCharacter (text) {
+  const key = text.trim();
+  return characters.get(key.toLowerCase()) || [...characters.values()].find(c => c.name === key) || null;
+}
+
+function listCharacters () {
+  return [...characters.values()];
+}
+
+// Sentence comparing today's count with yesterday's.
+function describeComparison (n, yesterday, locale) {
+  if (n < yesterday) return t(locale, 'character.comparison.less', { count: yesterday - n });
+  if (n === yesterday) return t(locale, 'character.comparison.same');
+  return t(locale, 'character.comparison.more', { count: n });
+}
+
+// Whether the pack's own texts are in the user's language.
+function speaks (pack, locale) {
+  return (pack.locale || DEFAULT_LOCALE) === locale;
+}
+
+// Replace {name} placeholders with values.
+function fill (template, values) {
+  return template.replace(/\{(\w+)\}/g, (m, key) => (key in values ? values[key] : m));
+}
+
+// The pack's content for a mood (see companion.js moodOf), if it has any.
+function moodContent (pack, mood) {
+  return (pack.moods && pack.moods[mood]) || null;
+}
+
+/**
+ * A line showing how the character feels, or null when the pack has none
+ * for the mood.
+ */
+function moodLine (pack, mood, locale = DEFAULT_LOCALE) {
+  if (!speaks(pack, locale)) {
+    return MOODS.includes(mood) ? choice(list(locale, `character.moods.${mood}`, { name: pack.name })) : null;
+  }
+  const content = moodContent(pack, mood);
+  return content ? choice(content.lines) : null;
+}
+
+// Append the mood line, if any, on its own line.
+function withMood (text, pack, mood, locale) {
+  const line = moodLine(pack, mood, locale);
+  return line ? `${text}\n${line}` : text;
+}
+
+/**
+ * The character's reaction to today's count `n`, coloured by its mood.
+ */
+function countReaction (pack, n, yesterday, mood, locale = DEFAULT_LOCALE) {
+  const comparison = describeComparison(n, yesterday, locale);
+  if (!speaks(pack, locale)) {
+    const text = n <= 0
+      ? t(locale, 'character.zero', { name: pack.name })
+      : [t(locale, 'character.count', { count: n }), comparison, choice(list(locale, 'character.countLines', { name: pack.name }))].join('\n');
+    return withMood(text, pack, mood, locale);
+  }
+  if (n <= 0) return withMood(pack.zero, pack, mood, locale);
+  const range = pack.reactions.find(r => n >= r.from && (r.to == null || n <= r.to));
+  return withMood(fill(choice(range.texts), { n, yesterday, comparison }), pack, mood, locale);
+}
+
+/**
+ * Finish a reaction with a random emoticon and sound word, which multiplies
+ * the number of distinct replies a pack can produce. A mood with its own
+ * emoticons uses those instead. The sound words are in the pack's language,
+ * so other languages get the emoticon only.
+ */
+function decorate (pack, base, mood, locale) {
+  const content = moodContent(pack, mood);
+  const emoticon = choice(content ? content.emoticons : pack.emoticons);
+  return speaks(pack, locale) ? `${base}${emoticon}～${choice(pack.sounds)}` : `${base}${emoticon}`;
+}
+
+/**
+ * The action a chat message asks for: the first one whose keywords (or
+ * keywords for the user's language) appear in the message
+ * (case-insensitive), or null.
+ */
+function matchAction (pack, message, locale = DEFAULT_LOCALE) {
+  const text = message.toLowerCase();
+  return pack.actions.find(a => {
+    const keywords = a.keywords.concat((a.localeKeywords && a.localeKeywords[locale]) || []);
+    return keywords.some(k => text.includes(k.toLowerCase()));
+  }) || null;
+}
+
+/**
+ * The character's reaction to a matched action (or to an unmatched message
+ * when `action` is null).
+ */
+function interactionReaction (pack, action, mood, locale = DEFAULT_LOCALE) {
+  let texts = action ? action.reactions : pack.defaultActions;
+  if (!speaks(pack, locale)) {
+    let key = 'character.interaction';
+    if (action) key = has(`character.actions.${action.id}`) ? `character.actions.${action.id}` : 'character.action';
+    texts = list(locale, key, { name: pack.name });
+  }
+  return withMood(decorate(pack, choice(texts), mood, locale), pack, mood, locale);
+}
+
+// The character's line closing the weather report.
+function weatherReaction (pack, mood, locale = DEFAULT_LOCALE) {
+  const base = speaks(pack, locale) ? pack.weather : t(locale, 'character.weather', { name: pack.name });
+  return withMood(decorate(pack, base, mood, locale), pack, mood, locale);
+}
+
+module.exports = {
+  DEFAULT_CHARACTER,
+  validatePack,
+  loadCharacters,
+  getCharacter,
+  findCharacter,
+  listCharacters,
+  moodLine,
+  countReaction,
+  matchAction,
+  interactionReaction,
+  weatherReaction
+};
@@ -0,0 +1,89 @@
+// 📁 charts.js
+
+// Tiny chart helpers: text sparklines for the history and analysis reports
+// and inline SVG charts for the web dashboard.
+
+const BLOCKS = '▁▂▃▄▅▆▇█';
+
+// Render a list of numbers as a one-line block sparkline.
+function sparkline (values) {
+  const max = Math.max(...values, 0);
+  return values
+    .map(v => (max === 0 ? BLOCKS[0] : BLOCKS[Math.round((v / max) * (BLOCKS.length - 1))]))
+    .join('');
+}
+
+// Escape text for use inside SVG or HTML markup.
+function escapeXml (text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Render a bar chart as an SVG string. `bars` is a list of { label, value }
+ * and `line` an optional list of values of the same length (null for gaps)
+ * drawn as a dashed line over the bars, such as the plan's daily targets.
+ */
+function svgBarChart (bars, { line = null, width = 640, height = 200, color = '#4A90A4', lineColor = '#E07A5F' } = {}) {
+  const pad = { top: 16, right: 8, bottom: 24, left: 28 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const max = Math.max(1, ...bars.map(b => b.value), ...(line || []).filter(v => v != null));
+  const step = plotW / Math.max(1, bars.length);
+  const y = v => pad.top + plotH - (v / max) * plotH;
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" class="chart">`,
+    `<line x1="${pad.left}" y1="${pad.top + plotH}" x2="${width - pad.right}" y2="${pad.top + plotH}" stroke="#ccc"/>`,
+    `<text x="${pad.left - 4}" y="${pad.top + 4}" text-anchor="end" font-size="10" fill="#666">${max}</text>`
+  ];
+  // Label roughly every seventh bar so long ranges stay readable.
+  const labelEvery = Math.max(1, Math.ceil(bars.length / 7));
+  bars.forEach((b, i) => {
+    const x = pad.left + i * step;
+    const h = pad.top + plotH - y(b.value);
+    parts.push(`<rect x="${(x + step * 0.15).toFixed(1)}" y="${y(b.value).toFixed(1)}" width="${(step * 0.7).toFixed(1)}" height="${h.toFixed(1)}" fill="${color}"><title>${escapeXml(b.label)}：${b.value}</title></rect>`);
+    if (i % labelEvery === 0 || i === bars.length - 1) {
+      parts.push(`<text x="${(x + step / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle" font-size="10" fill="#666">${escapeXml(b.label)}</text>`);
+    }
+  });
+  if (line) {
+    const points = [];
+    line.forEach((v, i) => {
+      if (v == null) return;
+      points.push(`${(pad.left + i * step + step / 2).toFixed(1)},${y(v).toFixed(1)}`);
+    });
+    if (points.length) {
+      parts.push(`<polyline points="${points.join(' ')}" fill="none" stroke="${lineColor}" stroke-width="2" stroke-dasharray="4 3"/>`);
+    }
+  }
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+/**
+ * Render labelled horizontal bars as an SVG string, one row per
+ * { label, value }, largest first as given.
+ */
+function svgHorizontalBars (rows, { width = 640, rowHeight = 24, color = '#4A90A4' } = {}) {
+  const labelW = 120;
+  const valueW = 40;
+  const plotW = width - labelW - valueW;
+  const max = Math.max(1, ...rows.map(r => r.value));
+  const height = Math.max(1, rows.length) * rowHeight;
+  const parts = [`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" class="chart">`];
+  rows.forEach((r, i) => {
+    const top = i * rowHeight;
+    const w = (r.value / max) * plotW;
+    parts.push(`<text x="${labelW - 6}" y="${top + rowHeight * 0.65}" text-anchor="end" font-size="12" fill="#333">${escapeXml(r.label)}</text>`);
+    parts.push(`<rect x="${labelW}" y="${top + 4}" width="${w.toFixed(1)}" height="${rowHeight - 8}" fill="${color}"/>`);
+    parts.push(`<text x="${(labelW + w + 4).toFixed(1)}" y="${top + rowHeight * 0.65}" font-size="12" fill="#666">${r.value}</text>`);
+  });
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+module.exports = {
+  sparkline,
+  escapeXml,
+  svgBarChart,
+  svgHorizontalBars
+};
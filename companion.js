@@ -0,0 +1,160 @@
+// 📁 companion.js
+
+// The character's feelings toward each user. Three stats between 0 and 100
+// are kept in the user's settings as
+//   companion: { mood, affection, energy, day, interactions }
+// Caring interactions (the `effect` of a pack action, such as feeding or a
+// hug) raise them, at most INTERACTION_LIMIT times a day so that spamming
+// "摸摸" does not buy a happy character. Every cigarette over today's limit
+// lowers mood and energy right away, and the daily summary settles the
+// finished day: a heavy day lowers the stats, a reduction day restores
+// them. The state belongs to the user, so switching characters keeps it.
+// Corrections to past days do not replay the state; it is a feeling, not a
+// record.
+
+const STATS = {
+  mood: '心情',
+  affection: '親密度',
+  energy: '體力'
+};
+
+const DEFAULT_STATE = { mood: 60, affection: 30, energy: 70 };
+
+const INTERACTION_LIMIT = 10;
+
+// Change per cigarette logged over today's target (or over yesterday's
+// count without a plan).
+const OVER_LIMIT_EFFECT = { mood: -3, energy: -2 };
+
+// Change applied by the daily summary.
+const DAY_EFFECTS = {
+  zero: { mood: 15, affection: 5, energy: 20 },
+  reduced: { mood: 10, affection: 3, energy: 15 },
+  steady: { energy: 5 },
+  heavy: { mood: -15, affection: -3, energy: -15 }
+};
+
+/**
+ * The user's companion state with defaults filled in.
+ */
+function getCompanion (settings) {
+  return Object.assign({}, DEFAULT_STATE, settings && settings.companion);
+}
+
+function clamp (value) {
+  return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+/**
+ * Apply an effect ({ mood, affection, energy } deltas, all optional) and
+ * return the new state.
+ */
+function applyEffect (state, effect) {
+  const next = Object.assign({}, state);
+  for (const key of Object.keys(STATS)) {
+    if (effect && effect[key]) next[key] = clamp(next[key] + effect[key]);
+  }
+  return next;
+}
+
+/**
+ * Apply the effect of an interaction on `day`, counting it toward the daily
+ * limit. Interactions without an effect change nothing.
+ */
+function applyInteraction (state, effect, day) {
+  if (!effect) return state;
+  const interactions = state.day === day ? state.interactions || 0 : 0;
+  if (interactions >= INTERACTION_LIMIT) return state;
+  return Object.assign(applyEffect(state, effect), { day, interactions: interactions + 1 });
+}
+
+/**
+ * Apply the cigarettes just logged: every one that takes today's count past
+ * `limit` (the target, or yesterday's count without a plan) costs mood and
+ * energy. `before` and `after` are today's count around the change; a null
+ * limit (no plan and nothing logged yesterday) costs nothing.
+ */
+function applySmoking (state, before, after, limit) {
+  if (limit == null) return state;
+  const over = Math.max(0, after - Math.max(before, limit));
+  if (!over) return state;
+  return applyEffect(state, { mood: OVER_LIMIT_EFFECT.mood * over, energy: OVER_LIMIT_EFFECT.energy * over });
+}
+
+/**
+ * Classify a finished day for the summary: zero, reduced (below yesterday
+ * and within the target if there is one), heavy (over the target, or over
+ * a logged yesterday without a plan) or steady.
+ */
+function classifyDay (today, yesterday, target) {
+  if (today === 0) return 'zero';
+  if (target != null ? today > target : yesterday > 0 && today > yesterday) return 'heavy';
+  if (today < yesterday) return 'reduced';
+  return 'steady';
+}
+
+// Apply the daily summary's effect for a finished day.
+function applyDay (state, today, yesterday, target) {
+  return applyEffect(state, DAY_EFFECTS[classifyDay(today, yesterday, target)]);
+}
+
+/**
+ * The mood name used to pick reactions: tired when energy is low, sad when
+ * mood is low, happy when both mood and affection are high, calm otherwise.
+ */
+function moodOf (state) {
+  if (state.energy < 25) return 'tired';
+  if (state.mood < 35) return 'sad';
+  if (state.mood >= 70 && state.affection >= 50) return 'happy';
+  return 'calm';
+}
+
+const MOOD_NAMES = {
+  happy: '開心',
+  calm: '平靜',
+  sad: '有點難過',
+  tired: '累累的'
+};
+
+// A stat as a row of five hearts.
+function hearts (value) {
+  const filled = Math.round(value / 20);
+  return '♥'.repeat(filled) + '♡'.repeat(5 - filled);
+}
+
+// What would cheer the character up most right now.
+function advice (state) {
+  if (state.energy < 25) return '少抽幾支讓大家都好好休息，體力會慢慢回來的。';
+  if (state.mood < 35) return '今天少抽一支，或是摸摸、抱抱安慰一下吧。';
+  if (state.affection < 50) return '多陪陪聊天、餵點心，感情會越來越好喔。';
+  return '你們的感情很好，繼續一起減菸吧！';
+}
+
+/**
+ * Describe the state for the status command. `line` is the character's
+ * mood line, if the pack has one.
+ */
+function describeCompanion (pack, state, line) {
+  const mood = moodOf(state);
+  const lines = [`${pack.name}現在${MOOD_NAMES[mood]}`];
+  for (const [key, name] of Object.entries(STATS)) {
+    lines.push(`${name} ${hearts(state[key])} ${state[key]}`);
+  }
+  if (line) lines.push('', line);
+  lines.push('', advice(state));
+  return lines.join('\n');
+}
+
+module.exports = {
+  STATS,
+  DEFAULT_STATE,
+  INTERACTION_LIMIT,
+  getCompanion,
+  applyEffect,
+  applyInteraction,
+  applySmoking,
+  classifyDay,
+  applyDay,
+  moodOf,
+  describeCompanion
+};
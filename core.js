@@ -0,0 +1,282 @@
+// 📁 core.js
+
+// The bot without its transport. Adapters turn what a chat service delivers
+// into neutral incoming messages, hand them to bot.handle() and render the
+// neutral messages it resolves to; pushes (summaries, reminders, buddy
+// alerts) go out through the channel the bot was created with. channel-line.js
+// connects the bot to LINE and channel-console.js to a terminal.
+//
+// An incoming message is
+//   { type, userId, groupId?, roomId?, ... } where type is one of
+//   text        { text }
+//   file        { file: { id, name, size } }, read back with channel.getContent
+//   postback    { data } from a button made with postback.js
+//   follow, unfollow, join, leave
+//   memberLeft  { left: [userId] }
+//
+// An outgoing message is one of
+//   { type: 'text', text, quickReplies?: [{ label, postback?, text? }] }
+//       a quick reply either sends `postback` (showing `text` in the chat)
+//       or sends `text` as if the user typed it
+//   { type: 'card', text, flex, buttons? }
+//       a LINE Flex layout; `text` says the same in plain text and
+//       `buttons` are its message and postback buttons as quick replies
+//   { type: 'image', url }
+//
+// A channel is
+//   { push(to, messages), getProfile?(userId, { groupId, roomId }), getContent?(id) }
+// where getProfile resolves to { displayName } and getContent to a stream or
+// buffer of the file's bytes.
+//
+// The handlers in logic.js still receive an event shaped like a LINE webhook
+// event and a client with LINE's method names; toEvent and the client built
+// in createBot translate, so the handlers did not have to change.
+//
+// Replies are collected while a message is handled and returned once the
+// handler is done, so anything the handler pushed (a buddy alert, a private
+// answer to a group command) reaches the chat before the reply does; on
+// LINE the reply used to come first. Each message gets its own client for
+// collecting replies, with the bot's client as `base`; scheduled jobs push
+// through `base` so they never hold on to a finished message.
+
+const schedule = require('node-schedule');
+const {
+  handleAdjust,
+  handleCommand,
+  handleInteraction,
+  handleFile,
+  handleFollow,
+  handleUnfollow,
+  handleGroupMessage,
+  handleJoin,
+  handleGroupLeave,
+  replyClientFor,
+  registerUser,
+  scheduleUser,
+  scheduleAllUsers,
+  scheduleAllGroups,
+  checkAirQuality
+} = require('./logic');
+const { getGroupId } = require('./groups');
+const { parseAdjustment } = require('./triggers');
+const { handlePostback } = require('./postback');
+
+const DEFAULT_AIR_CHECK_MINUTES = 30;
+const INCOMING_TYPES = ['text', 'file', 'postback', 'follow', 'unfollow', 'join', 'leave', 'memberLeft'];
+
+/* --------------------------------------------------------------------------
+ * Translating messages
+ * ------------------------------------------------------------------------ */
+
+/**
+ * The webhook-style event the handlers expect for an incoming message.
+ * Throws on a message an adapter should not have sent.
+ */
+function toEvent (incoming) {
+  const { type, userId, groupId, roomId } = incoming;
+  if (!INCOMING_TYPES.includes(type)) throw new Error(`未知的訊息類型：${type}`);
+  if (!userId && !groupId && !roomId) throw new Error('訊息缺少 userId');
+  const source = groupId
+    ? { type: 'group', groupId, userId }
+    : roomId ? { type: 'room', roomId, userId } : { type: 'user', userId };
+  const event = { type, replyToken: 'core', source };
+  if (type === 'text') {
+    event.type = 'message';
+    event.message = { type: 'text', text: String(incoming.text || '') };
+  } else if (type === 'file') {
+    const file = incoming.file || {};
+    event.type = 'message';
+    event.message = { type: 'file', id: file.id, fileName: file.name, fileSize: file.size };
+  } else if (type === 'postback') {
+    event.postback = { data: String(incoming.data || '') };
+  } else if (type === 'memberLeft') {
+    event.left = { members: (incoming.left || []).map(id => ({ type: 'user', userId: id })) };
+  }
+  return event;
+}
+
+// A LINE quick reply or button action as a neutral quick reply, or null for
+// actions the core does not produce (links, pickers).
+function toQuickReply (action) {
+  if (action.type === 'postback') {
+    const item = { label: action.label, postback: action.data };
+    if (action.displayText) item.text = action.displayText;
+    return item;
+  }
+  if (action.type === 'message') return { label: action.label, text: action.text };
+  return null;
+}
+
+// Every message and postback button in a Flex layout, in reading order.
+function flexButtons (node, out = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => flexButtons(child, out));
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'button' && node.action) {
+      const item = toQuickReply(node.action);
+      if (item) out.push(item);
+    }
+    for (const key of ['header', 'hero', 'body', 'footer', 'contents']) {
+      if (node[key]) flexButtons(node[key], out);
+    }
+  }
+  return out;
+}
+
+/**
+ * A message built by the handlers as a neutral outgoing message.
+ */
+function toNeutral (message) {
+  if (typeof message === 'string') return { type: 'text', text: message };
+  if (message.type === 'text') {
+    const out = { type: 'text', text: message.text };
+    const items = message.quickReply ? message.quickReply.items : [];
+    const quickReplies = items.map(item => toQuickReply(item.action)).filter(Boolean);
+    if (quickReplies.length) out.quickReplies = quickReplies;
+    return out;
+  }
+  if (message.type === 'flex') {
+    const out = { type: 'card', text: message.altText, flex: message.contents };
+    const buttons = flexButtons(message.contents);
+    if (buttons.length) out.buttons = buttons;
+    return out;
+  }
+  if (message.type === 'image') return { type: 'image', url: message.originalContentUrl };
+  throw new Error(`無法轉換的訊息類型：${message.type}`);
+}
+
+/* --------------------------------------------------------------------------
+ * Dispatch
+ * ------------------------------------------------------------------------ */
+
+// Route one event to its handler.
+async function dispatch (event, client) {
+  // Register users automatically on their first event and schedule their pushes.
+  // In groups only members who /加入 are registered, not everyone who talks.
+  const userId = event.source && event.source.userId;
+  const groupId = getGroupId(event.source);
+  if (userId && !groupId && event.type !== 'unfollow' && (await registerUser(userId))) {
+    await scheduleUser(client, userId);
+  }
+  if (event.type === 'message' && event.message.type === 'text') {
+    const msg = event.message.text.trim();
+    // Group chats only answer commands and +n/-n
+    if (groupId) {
+      return handleGroupMessage(event, client, msg);
+    }
+    // Determine if message is a numeric adjustment: +n, -n, /+n, /-n, optionally followed by tags
+    const adjustment = parseAdjustment(msg);
+    if (adjustment) {
+      return handleAdjust(event, client, adjustment.amount, adjustment.tags);
+    }
+    // Slash commands
+    if (msg.startsWith('/')) {
+      return handleCommand(msg, event, client);
+    }
+    // Other messages are plain-word logging ("剛剛抽了兩支") or interactions with the character
+    return handleInteraction(event, client, msg);
+  }
+  // CSV files sent in the chat are previewed for /匯入
+  if (event.type === 'message' && event.message.type === 'file' && !groupId) {
+    return handleFile(event, client);
+  }
+  // Welcome and onboard users who add the bot as a friend
+  if (event.type === 'follow') {
+    return handleFollow(event, client);
+  }
+  // Stop scheduled pushes for users who block the bot
+  if (event.type === 'unfollow') {
+    return handleUnfollow(event, client);
+  }
+  // The bot was added to a group, or it or members left one
+  if (event.type === 'join') {
+    return handleJoin(event, client);
+  }
+  if (event.type === 'leave' || event.type === 'memberLeft') {
+    return handleGroupLeave(event);
+  }
+  // Rich menu taps and buttons; anonymous group members get their replies privately
+  if (event.type === 'postback') {
+    return handlePostback(event, await replyClientFor(client, event));
+  }
+  return null;
+}
+
+/* --------------------------------------------------------------------------
+ * The bot
+ * ------------------------------------------------------------------------ */
+
+// Minutes between air-quality checks from AIR_CHECK_MINUTES. A `*/N` cron
+// step only makes sense for 1-59, so anything else falls back to the default.
+function airCheckInterval (value) {
+  if (value == null || value === '') return DEFAULT_AIR_CHECK_MINUTES;
+  const minutes = Number(value);
+  if (Number.isInteger(minutes) && minutes >= 1 && minutes <= 59) return minutes;
+  console.warn(`AIR_CHECK_MINUTES 必須是 1 到 59 的整數，改用 ${DEFAULT_AIR_CHECK_MINUTES} 分鐘：${value}`);
+  return DEFAULT_AIR_CHECK_MINUTES;
+}
+
+/**
+ * Create a bot that talks through `channel` (see the header). Returns
+ *   handle(incoming)  resolves to the neutral messages answering it
+ *   client            the LINE-style client the handlers push with
+ *   start()           schedules every user's and group's pushes and the
+ *                     air-quality check
+ */
+function createBot (channel) {
+  if (!channel || typeof channel.push !== 'function') throw new Error('channel 必須提供 push(to, messages)');
+
+  async function profile (userId, where) {
+    if (!channel.getProfile) throw new Error(`${channel.name || '這個頻道'}不提供使用者名稱`);
+    return channel.getProfile(userId, where);
+  }
+
+  const client = {
+    async pushMessage (to, messages) {
+      return channel.push(to, [].concat(messages).map(toNeutral));
+    },
+    async replyMessage () {
+      throw new Error('只能回覆正在處理的訊息');
+    },
+    getProfile: userId => profile(userId, {}),
+    getGroupMemberProfile: (groupId, userId) => profile(userId, { groupId }),
+    getRoomMemberProfile: (roomId, userId) => profile(userId, { roomId }),
+    async getMessageContent (id) {
+      if (!channel.getContent) throw new Error(`${channel.name || '這個頻道'}不支援檔案`);
+      return channel.getContent(id);
+    }
+  };
+
+  async function handle (incoming) {
+    const replies = [];
+    // A client for this message only: replies are collected and returned.
+    const scoped = Object.assign(Object.create(client), {
+      base: client,
+      async replyMessage (token, messages) {
+        replies.push(...[].concat(messages));
+      }
+    });
+    await dispatch(toEvent(incoming), scoped);
+    return replies.map(toNeutral);
+  }
+
+  function start () {
+    // 每位使用者的日結（換日前 10 分鐘）與 06:30 天氣預報都依各自的時區排程
+    scheduleAllUsers(client).catch(err => console.error('排程註冊失敗', err));
+    // 各群組的群組日結
+    scheduleAllGroups(client).catch(err => console.error('群組排程註冊失敗', err));
+    // 定期檢查每位使用者所在地的空氣品質，超過門檻時推送提醒
+    const airCheckMinutes = airCheckInterval(process.env.AIR_CHECK_MINUTES);
+    schedule.scheduleJob(`*/${airCheckMinutes} * * * *`, () => {
+      checkAirQuality(client).catch(err => console.error('空氣品質檢查失敗', err));
+    });
+  }
+
+  return { handle, client, start };
+}
+
+module.exports = {
+  toEvent,
+  toNeutral,
+  createBot
+};
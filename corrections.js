@@ -0,0 +1,80 @@
+// 📁 corrections.js
+
+// Backfilling and correcting past days with /修正. A correction either sets
+// a day's total ("/修正 2026-10-01 8") or adjusts it ("/修正 昨天 +2"). It is
+// stored as a "correction" event carrying the previous and new totals, so
+// the event log doubles as the audit trail.
+
+const { addDays, isDayKey, getLocalParts, formatMinutes } = require('./dates');
+
+// Edits older than this many days must be confirmed with a quick reply.
+const CONFIRM_AFTER_DAYS = parseInt(process.env.CORRECTION_CONFIRM_DAYS || '7', 10);
+
+const RELATIVE_DAYS = {
+  今天: 0,
+  昨天: -1,
+  前天: -2
+};
+
+/**
+ * Parse the arguments of /修正. Returns { day, value, relative } on success
+ * or { error } with a message for the user. `relative` is true for "+n" and
+ * "-n", in which case `value` is the signed change.
+ */
+function parseCorrection (args, today) {
+  const m = /^(\S+)\s+([+-]?)(\d+)$/.exec(args.trim());
+  if (!m) {
+    return { error: '格式：「/修正 YYYY-MM-DD 支數」或「/修正 昨天 支數」，支數前加 + 或 - 表示增減。' };
+  }
+  let day = m[1];
+  if (day in RELATIVE_DAYS) {
+    day = addDays(today, RELATIVE_DAYS[day]);
+  } else if (!isDayKey(day)) {
+    return { error: `看不懂日期「${m[1]}」，請用 YYYY-MM-DD、今天、昨天或前天。` };
+  }
+  if (day > today) {
+    return { error: '不能修正未來的日子喔。' };
+  }
+  const relative = m[2] !== '';
+  const value = (m[2] === '-' ? -1 : 1) * parseInt(m[3], 10);
+  return { day, value, relative };
+}
+
+/**
+ * Whether a correction for `day` is old enough to need confirmation.
+ */
+function needsConfirmation (day, today) {
+  return day < addDays(today, -CONFIRM_AFTER_DAYS);
+}
+
+/**
+ * Compute the new total for a day given its current total and a parsed
+ * correction. Totals never fall below zero.
+ */
+function resolveTotal (current, { value, relative }) {
+  return Math.max(0, relative ? current + value : value);
+}
+
+/**
+ * Render the most recent correction events as an audit trail, with edit
+ * times shown in the user's timezone.
+ */
+function describeAuditTrail (events, timeZone, limit = 10) {
+  const corrections = events.filter(e => e.type === 'correction').slice(-limit).reverse();
+  if (!corrections.length) return '還沒有任何修正紀錄。';
+  const lines = ['最近的修正紀錄：'];
+  for (const e of corrections) {
+    const local = getLocalParts(new Date(e.ts), timeZone);
+    const at = `${local.date} ${formatMinutes(local.hour * 60 + local.minute)}`;
+    lines.push(`${e.day}：${e.previous} → ${e.value} 支（${at} 修改）`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  CONFIRM_AFTER_DAYS,
+  parseCorrection,
+  needsConfirmation,
+  resolveTotal,
+  describeAuditTrail
+};
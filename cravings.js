@@ -0,0 +1,96 @@
+// 📁 cravings.js
+
+// Craving SOS sessions. /想抽 starts a session: the character replies with a short
+// breathing or distraction exercise and checks in a few minutes later with
+// quick replies. A session is kept in the user's settings while it runs so
+// that its check-ins can be rescheduled after a restart:
+//   craving: { startedAt, day, sent }
+// where `sent` counts the check-ins already pushed. When it ends, a
+// "craving" event with amount 0 and an `outcome` of resisted, smoked or
+// unanswered is added to the event log.
+
+// Minutes after the start of a session at which the character checks in.
+const CHECKIN_MINUTES = [2, 5, 10];
+
+// A session nobody answered is closed this many minutes after it started.
+const EXPIRE_MINUTES = 30;
+
+const EXERCISES = [
+  '跟{name}一起做 4-7-8 呼吸：\n吸氣 4 秒……憋住 7 秒……慢慢吐氣 8 秒。\n重複四次，{name}用尾巴幫你打拍子(๑•̀ㅂ•́)و',
+  '來做方塊呼吸：吸氣 4 秒、停 4 秒、吐氣 4 秒、停 4 秒，繞四圈。\n{name}在旁邊跟著鼓起肚子又扁下去(˶˚ᴗ˚˶)',
+  '先去倒一杯冰水，小口小口慢慢喝完。\n{name}捧著自己的小杯子陪你喝～啾～',
+  '起來走一走吧！繞著房間走兩圈，或下樓再上來。\n{name}已經跳到你肩膀上準備出發了(ﾉ>ω<)ﾉ',
+  '想抽的感覺像海浪，通常幾分鐘就會退去。\n說出你看得到的 5 樣東西、摸得到的 4 樣、聽得到的 3 種聲音。\n{name}睜大眼睛跟你一起找(｡･ω･｡)',
+  '手跟嘴都找點事做：嚼口香糖、咬根吸管，或把手機裡的照片整理十張。\n{name}抱著一顆堅果猛啃給你看(ง •̀_•́)ง'
+];
+
+const CHECKINS = [
+  '過了 2 分鐘囉，還好嗎？想抽的感覺有比較弱一點嗎？',
+  '5 分鐘了！你已經撐過最難的一段，{name}在旁邊替你加油(ง •̀_•́)ง',
+  '10 分鐘到了～這波想抽的感覺過去了嗎？'
+];
+
+// Pick a random exercise, done together with the character called `name`.
+function pickExercise (name) {
+  return EXERCISES[Math.floor(Math.random() * EXERCISES.length)].replace(/\{name\}/g, name);
+}
+
+/**
+ * The moments a session's check-ins are due, as Dates.
+ */
+function checkinTimes (session) {
+  const start = Date.parse(session.startedAt);
+  return CHECKIN_MINUTES.map(m => new Date(start + m * 60000));
+}
+
+// The moment an unanswered session is closed.
+function expiryTime (session) {
+  return new Date(Date.parse(session.startedAt) + EXPIRE_MINUTES * 60000);
+}
+
+// Text of the check-in at `index`.
+function checkinText (index, name) {
+  return (CHECKINS[index] || CHECKINS[CHECKINS.length - 1]).replace(/\{name\}/g, name);
+}
+
+/**
+ * Count a day's craving sessions by outcome. Returns
+ * { total, resisted, smoked, unanswered }.
+ */
+function countCravings (events, day) {
+  const counts = { total: 0, resisted: 0, smoked: 0, unanswered: 0 };
+  for (const e of events) {
+    if (e.type !== 'craving' || e.day !== day) continue;
+    counts.total++;
+    if (e.outcome in counts) counts[e.outcome]++;
+  }
+  return counts;
+}
+
+/**
+ * One line for the nightly summary: the share of answered cravings that
+ * were resisted and the cigarettes that saved. Returns null on a day
+ * without cravings.
+ */
+function describeCravings (counts) {
+  if (!counts.total) return null;
+  const answered = counts.resisted + counts.smoked;
+  let text = `今天想抽 ${counts.total} 次`;
+  if (answered) {
+    const share = Math.round((counts.resisted / answered) * 100);
+    text += `，撐過 ${counts.resisted} 次（${share}%）`;
+    if (counts.resisted) text += `，少抽了 ${counts.resisted} 支`;
+  }
+  return text + '。';
+}
+
+module.exports = {
+  CHECKIN_MINUTES,
+  EXPIRE_MINUTES,
+  pickExercise,
+  checkinTimes,
+  expiryTime,
+  checkinText,
+  countCravings,
+  describeCravings
+};
@@ -0,0 +1,179 @@
+// 📁 dashboard.js
+
+// Server-rendered web dashboard mounted at /dashboard. The link sent by
+// /登入 opens /dashboard/login?code=... with a single-use login code (see
+// auth.js). That page only shows a button: chat apps fetch links for their
+// previews, so the code is used by the POST the button sends, which stores
+// the token in an HttpOnly cookie and redirects to /dashboard. Logging out is
+// a POST too; it revokes the token, not just the cookie. The page shows the
+// last 30 days' counts against the plan targets, the trigger breakdown and
+// the hours of the day as inline SVG; admins (ADMIN_USER_IDS) get a list of
+// users and may open any of them with ?user=<id>.
+
+const express = require('express');
+const { getStore } = require('./store');
+const { escapeXml, svgBarChart, svgHorizontalBars } = require('./charts');
+const { getToday } = require('./logic');
+const { getUserHistory, getUserTriggers } = require('./api');
+const {
+  COOKIE_NAME,
+  TOKEN_DAYS,
+  revokeTokens,
+  isLoginCode,
+  redeemLoginCode,
+  verifyToken,
+  authenticate,
+  canRead
+} = require('./auth');
+const { webRateLimit } = require('./ratelimit');
+
+const DAYS = 30;
+
+const STYLE = `
+body { font-family: -apple-system, "PingFang TC", "Noto Sans TC", sans-serif; margin: 0; background: #f5f7f9; color: #333; }
+main { max-width: 720px; margin: 0 auto; padding: 16px; }
+h1 { color: #4A90A4; font-size: 22px; }
+section { background: #fff; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; }
+h2 { font-size: 16px; margin: 4px 0 12px; }
+.stats { display: flex; gap: 16px; }
+.stats div { flex: 1; text-align: center; }
+.stats b { display: block; font-size: 24px; color: #4A90A4; }
+.chart { width: 100%; height: auto; }
+.legend { font-size: 12px; color: #8C8C8C; }
+nav a { margin-right: 8px; }
+button { background: #4A90A4; color: #fff; border: 0; border-radius: 6px; padding: 8px 16px; font-size: 16px; }
+form.link button { background: none; color: #4A90A4; padding: 0; font-size: 12px; text-decoration: underline; }
+`;
+
+// Wrap a body in the page skeleton.
+function page (title, body) {
+  return `<!DOCTYPE html><html lang="zh-Hant"><head><meta charset="utf-8">` +
+    `<meta name="viewport" content="width=device-width, initial-scale=1">` +
+    `<title>${escapeXml(title)}</title><style>${STYLE}</style></head>` +
+    `<body><main>${body}</main></body></html>`;
+}
+
+function sendPage (res, status, title, body) {
+  res.status(status).type('html').send(page(title, body));
+}
+
+// The page shown without a valid token.
+function loginRequired (req, res) {
+  sendPage(res, 401, '請先登入', '<h1>請先登入</h1><p>在 LINE 聊天室輸入 <b>/登入</b>，點開收到的連結就能看到你的紀錄。</p>');
+}
+
+// The page shown for a login link that was already used or has expired.
+function loginExpired (req, res) {
+  sendPage(res, 401, '連結已失效', '<h1>這個登入連結已經失效了</h1><p>登入連結只能用一次，而且幾分鐘後就會過期。請在 LINE 聊天室重新輸入 <b>/登入</b>。</p>');
+}
+
+/**
+ * Render the dashboard for one user. `users` is the admin's user list, or
+ * null for everyone else.
+ */
+function renderDashboard ({ userId, user, today, history, triggers, users }) {
+  const total = history.reduce((sum, h) => sum + h.count, 0);
+  const todayCount = (history.find(h => h.day === today) || { count: 0 }).count;
+  const hasTargets = history.some(h => h.target != null);
+  const bars = history.map(h => ({ label: h.day.slice(5), value: h.count }));
+  const triggerRows = Object.entries(triggers.byTrigger)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 8)
+    .map(([label, value]) => ({ label, value }));
+  const hourBars = triggers.byHour.map((value, hour) => ({ label: `${hour}`, value }));
+  const parts = ['<h1>減菸紀錄</h1>'];
+  if (users) {
+    const links = users.map(id => `<a href="?user=${encodeURIComponent(id)}">${id === userId ? '<b>' : ''}${escapeXml(id.slice(0, 8))}…${id === userId ? '</b>' : ''}</a>`);
+    parts.push(`<nav>使用者：${links.join('')}</nav>`);
+  }
+  parts.push(
+    '<section class="stats">',
+    `<div>今天<b>${todayCount}</b>支</div>`,
+    `<div>連續達標<b>${user.streak || 0}</b>天</div>`,
+    `<div>最近 ${DAYS} 天<b>${total}</b>支</div>`,
+    '</section>',
+    `<section><h2>每日支數</h2>${svgBarChart(bars, { line: hasTargets ? history.map(h => h.target) : null })}`,
+    hasTargets ? '<p class="legend">長條：實際支數　虛線：減量計畫的目標</p>' : '<p class="legend">設定 /目標 後，這裡會畫出每天的目標支數。</p>',
+    '</section>',
+    '<section><h2>觸發原因</h2>',
+    triggerRows.length ? svgHorizontalBars(triggerRows) : '<p class="legend">最近沒有抽菸紀錄。</p>',
+    '</section>',
+    `<section><h2>時段（0–23 點）</h2>${svgBarChart(hourBars, { height: 160 })}</section>`,
+    '<form class="link legend" method="post" action="/dashboard/logout"><button type="submit">登出</button></form>'
+  );
+  return page('減菸紀錄', parts.join(''));
+}
+
+/**
+ * Build the /dashboard router.
+ */
+function createDashboardRouter () {
+  const router = express.Router();
+  router.use(webRateLimit);
+
+  router.get('/login', (req, res) => {
+    const code = String(req.query.code || '');
+    if (!isLoginCode(code)) return loginExpired(req, res);
+    sendPage(res, 200, '登入', [
+      '<h1>減菸紀錄</h1>',
+      '<form method="post" action="/dashboard/login">',
+      `<input type="hidden" name="code" value="${escapeXml(code)}">`,
+      '<button type="submit">開啟我的紀錄</button>',
+      '</form>'
+    ].join(''));
+  });
+
+  router.post('/login', express.urlencoded({ extended: false }), async (req, res, next) => {
+    try {
+      const token = redeemLoginCode(String(req.body.code || ''));
+      if (!token || !(await verifyToken(token))) return loginExpired(req, res);
+      const secure = req.secure || (process.env.PUBLIC_URL || '').startsWith('https:');
+      res.cookie(COOKIE_NAME, token, { httpOnly: true, sameSite: 'lax', secure, maxAge: TOKEN_DAYS * 86400000, path: '/' });
+      res.redirect(303, '/dashboard');
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/logout', authenticate(loginRequired), async (req, res, next) => {
+    try {
+      await revokeTokens(req.auth.userId);
+      res.clearCookie(COOKIE_NAME, { path: '/' });
+      sendPage(res, 200, '已登出', '<h1>已登出</h1><p>這組 token 已經失效了。想再看紀錄時，在聊天室輸入 /登入 就可以了。</p>');
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/', authenticate(loginRequired), async (req, res, next) => {
+    try {
+      const userId = req.query.user ? String(req.query.user) : req.auth.userId;
+      if (!canRead(req.auth, userId)) return sendPage(res, 403, '沒有權限', '<h1>沒有權限查看這位使用者</h1>');
+      const user = await getStore().getUser(userId);
+      if (!user) return sendPage(res, 404, '找不到使用者', '<h1>找不到這位使用者</h1>');
+      const settings = await getStore().getSettings(userId);
+      res.type('html').send(renderDashboard({
+        userId,
+        user,
+        today: getToday(settings),
+        history: await getUserHistory(userId, settings, DAYS),
+        triggers: await getUserTriggers(userId, settings, DAYS),
+        users: req.auth.admin ? await getStore().listUsers() : null
+      }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.use((err, req, res, next) => {
+    if (err.status === 429) return sendPage(res, 429, '請稍後再試', '<h1>請求太頻繁了</h1><p>請稍後再試。</p>');
+    console.error('儀表板錯誤', err);
+    sendPage(res, 500, '發生錯誤', '<h1>伺服器發生錯誤</h1><p>請稍後再試。</p>');
+  });
+  return router;
+}
+
+module.exports = {
+  renderDashboard,
+  createDashboardRouter
+};
@@ -0,0 +1,138 @@
+// 📁 dates.js
+
+// Timezone-aware date helpers. Every day in the bot is a local calendar day
+// for a given IANA timezone, optionally shifted by a "day ends at" cutoff so
+// that a cigarette at 01:30 can still count toward the previous evening.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Taipei';
+const DEFAULT_DAY_CUTOFF = '00:00';
+
+// Latest cutoff we accept; anything later would swallow most of the morning.
+const MAX_CUTOFF_MINUTES = 12 * 60;
+
+// Intl formatters are relatively expensive to build, so cache one per zone.
+const formatters = new Map();
+
+function getFormatter (timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short'
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Return true if the given string is an IANA timezone known to the runtime.
+ */
+function isValidTimeZone (timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Parse an "HH:MM" time of day into minutes after midnight. Returns null
+ * when the string is malformed or not between 00:00 and 23:59.
+ */
+function parseTime (text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+  if (!m) return null;
+  const hour = parseInt(m[1], 10);
+  const minute = parseInt(m[2], 10);
+  if (hour > 23 || minute > 59) return null;
+  return hour * 60 + minute;
+}
+
+/**
+ * Parse an "HH:MM" cutoff into minutes after midnight. Returns null when the
+ * string is malformed or later than 12:00.
+ */
+function parseCutoff (text) {
+  const total = parseTime(text);
+  if (total == null || total > MAX_CUTOFF_MINUTES) return null;
+  return total;
+}
+
+// Format minutes after midnight back into "HH:MM".
+function formatMinutes (minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const m = String(minutes % 60).padStart(2, '0');
+  return `${h}:${m}`;
+}
+
+/**
+ * Break a Date into its wall-clock parts in the given timezone. Returns
+ * { date: 'YYYY-MM-DD', hour, minute, weekday } where weekday is 0 for Sunday.
+ */
+function getLocalParts (date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const p of getFormatter(timeZone).formatToParts(date)) {
+    parts[p.type] = p.value;
+  }
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: weekdays.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Return true if the string is a YYYY-MM-DD date that exists on the
+ * calendar. Date.parse alone accepts days like 2026-02-31 and rolls them
+ * over, so the parsed date must come back as the same string.
+ */
+function isDayKey (text) {
+  if (typeof text !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+  const date = new Date(`${text}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === text;
+}
+
+// Shift a YYYY-MM-DD date string by the given number of days.
+function addDays (day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Return the bot day (YYYY-MM-DD) that a moment belongs to. Times before the
+ * cutoff still count toward the previous local day.
+ */
+function getDayKey (date = new Date(), timeZone = DEFAULT_TIMEZONE, cutoff = DEFAULT_DAY_CUTOFF) {
+  const local = getLocalParts(date, timeZone);
+  const cutoffMinutes = parseCutoff(cutoff) || 0;
+  if (local.hour * 60 + local.minute < cutoffMinutes) {
+    return addDays(local.date, -1);
+  }
+  return local.date;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DAY_CUTOFF,
+  isValidTimeZone,
+  parseTime,
+  parseCutoff,
+  formatMinutes,
+  getLocalParts,
+  isDayKey,
+  addDays,
+  getDayKey
+};
@@ -0,0 +1,73 @@
+// 📁 downloads.js
+
+// Short-lived download links for /匯出, served at /download/<token>. A link
+// is valid for DOWNLOAD_MINUTES and may be opened more than once in that
+// time, because chat apps fetch a link once for its preview before the
+// user taps it. Links are kept in memory only: a restart simply expires
+// them. The file is built when the link is opened, so it is always current.
+
+const crypto = require('crypto');
+const express = require('express');
+const { buildExport } = require('./transfer');
+const { webRateLimit } = require('./ratelimit');
+
+const DOWNLOAD_MINUTES = parseInt(process.env.DOWNLOAD_MINUTES || '10', 10);
+
+const KINDS = ['daily', 'events', 'json'];
+
+// token -> { userId, kind, expiresAt }
+const links = new Map();
+
+// Forget expired links.
+function prune (now = Date.now()) {
+  for (const [token, link] of links) {
+    if (link.expiresAt <= now) links.delete(token);
+  }
+}
+
+/**
+ * Create a download link for one export kind (daily, events or json).
+ * Returns the path to open, relative to the app's public URL.
+ */
+function createDownload (userId, kind) {
+  if (!KINDS.includes(kind)) throw new Error(`未知的匯出格式：${kind}`);
+  prune();
+  const token = crypto.randomBytes(18).toString('base64url');
+  links.set(token, { userId, kind, expiresAt: Date.now() + DOWNLOAD_MINUTES * 60000 });
+  return `/download/${token}`;
+}
+
+/**
+ * Build the /download router.
+ */
+function createDownloadRouter () {
+  const router = express.Router();
+  router.use(webRateLimit);
+  router.get('/:token', async (req, res, next) => {
+    const link = links.get(req.params.token);
+    if (!link || link.expiresAt <= Date.now()) {
+      return res.status(404).type('text').send('下載連結已經過期了，請在聊天室重新輸入 /匯出。');
+    }
+    try {
+      const file = await buildExport(link.userId, link.kind);
+      res.set('Cache-Control', 'no-store');
+      res.attachment(file.filename);
+      // A byte order mark makes Excel open the CSV as UTF-8.
+      res.type(file.type).send(file.type === 'text/csv' ? `\uFEFF${file.body}` : file.body);
+    } catch (err) {
+      next(err);
+    }
+  });
+  router.use((err, req, res, next) => {
+    if (err.status === 429) return res.status(429).type('text').send('請求太頻繁了，請稍後再試。');
+    console.error('匯出下載失敗', err);
+    res.status(500).type('text').send('匯出失敗，請稍後再試。');
+  });
+  return router;
+}
+
+module.exports = {
+  DOWNLOAD_MINUTES,
+  createDownload,
+  createDownloadRouter
+};
@@ -0,0 +1,168 @@
+// 📁 flex.js
+
+// LINE Flex Message layouts. The dashboard bubble shows today against
+// yesterday and the plan target, the current streak, a seven-day bar chart
+// built from plain Flex boxes, an optional note line (the nightly summary
+// uses it for money saved) and quick action buttons. The same data is
+// also rendered as plain text, which becomes the altText so clients that
+// cannot show Flex still get the full numbers. Labels come from the
+// message catalogs (i18n.js) in the user's language.
+
+const { DEFAULT_LOCALE, t, list } = require('./i18n');
+
+const COLORS = {
+  primary: '#4A90A4',
+  good: '#6BBF8A',
+  bad: '#E07A5F',
+  neutral: '#A9B4C2',
+  muted: '#8C8C8C'
+};
+
+// Height of the tallest bar in the chart, in pixels.
+const CHART_HEIGHT = 60;
+
+// Weekday label for a YYYY-MM-DD string.
+function weekdayOf (day, locale) {
+  return list(locale, 'dashboard.weekdays')[new Date(`${day}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Render the dashboard numbers as plain text. Used for altText and anywhere
+ * a Flex bubble cannot be shown.
+ */
+function dashboardText (data, locale = DEFAULT_LOCALE) {
+  const { title, today, yesterday, target, streak, history, note } = data;
+  const lines = [
+    t(locale, 'dashboard.text.counts', {
+      title,
+      today,
+      yesterday,
+      target: target != null ? t(locale, 'dashboard.text.target', { target }) : ''
+    }),
+    t(locale, 'dashboard.text.streak', { count: streak }),
+    t(locale, 'dashboard.text.history', { counts: history.map(h => h.count).join(' / ') })
+  ];
+  if (note) lines.push(note);
+  return lines.join('\n');
+}
+
+// One labelled number in the stats row.
+function stat (label, value, color) {
+  return {
+    type: 'box',
+    layout: 'vertical',
+    flex: 1,
+    contents: [
+      { type: 'text', text: label, size: 'xs', color: COLORS.muted, align: 'center' },
+      { type: 'text', text: String(value), size: 'xl', weight: 'bold', color, align: 'center' }
+    ]
+  };
+}
+
+// One column of the bar chart: the bar itself, its value and weekday.
+function barColumn (entry, max, locale) {
+  const height = max > 0 ? Math.max(2, Math.round((entry.count / max) * CHART_HEIGHT)) : 2;
+  let color = COLORS.neutral;
+  if (entry.target != null) color = entry.count <= entry.target ? COLORS.good : COLORS.bad;
+  return {
+    type: 'box',
+    layout: 'vertical',
+    flex: 1,
+    spacing: 'xs',
+    contents: [
+      { type: 'text', text: String(entry.count), size: 'xxs', color: COLORS.muted, align: 'center' },
+      {
+        type: 'box',
+        layout: 'vertical',
+        height: `${CHART_HEIGHT}px`,
+        justifyContent: 'flex-end',
+        contents: [
+          {
+            type: 'box',
+            layout: 'vertical',
+            height: `${height}px`,
+            backgroundColor: color,
+            cornerRadius: '2px',
+            contents: []
+          }
+        ]
+      },
+      { type: 'text', text: weekdayOf(entry.day, locale), size: 'xxs', color: COLORS.muted, align: 'center' }
+    ]
+  };
+}
+
+// A footer button that sends the given text as if the user typed it.
+function messageButton (label, text, style = 'secondary') {
+  return {
+    type: 'button',
+    style,
+    height: 'sm',
+    action: { type: 'message', label, text }
+  };
+}
+
+/**
+ * Build the dashboard Flex message. `data` holds title, today, yesterday,
+ * target (or null without a plan), streak, history: seven
+ * { day, count, target } entries, oldest first, and an optional note shown
+ * under the chart.
+ */
+function buildDashboard (data, locale = DEFAULT_LOCALE) {
+  const { title, today, yesterday, target, streak, history, note } = data;
+  const max = Math.max(...history.map(h => h.count), target || 0, 1);
+  const todayColor = target == null ? COLORS.primary : today <= target ? COLORS.good : COLORS.bad;
+  const stats = [
+    stat(t(locale, 'dashboard.today'), today, todayColor),
+    stat(t(locale, 'dashboard.yesterday'), yesterday, COLORS.primary)
+  ];
+  if (target != null) stats.push(stat(t(locale, 'dashboard.target'), target, COLORS.primary));
+  stats.push(stat(t(locale, 'dashboard.streak'), t(locale, 'dashboard.streakDays', { count: streak }), COLORS.primary));
+  const body = [
+    { type: 'box', layout: 'horizontal', contents: stats },
+    { type: 'separator' },
+    { type: 'text', text: t(locale, 'dashboard.lastWeek'), size: 'sm', color: COLORS.muted },
+    {
+      type: 'box',
+      layout: 'horizontal',
+      spacing: 'sm',
+      alignItems: 'flex-end',
+      contents: history.map(h => barColumn(h, max, locale))
+    }
+  ];
+  if (note) body.push({ type: 'text', text: note, size: 'sm', color: COLORS.primary, wrap: true });
+  return {
+    type: 'flex',
+    altText: dashboardText(data, locale),
+    contents: {
+      type: 'bubble',
+      header: {
+        type: 'box',
+        layout: 'vertical',
+        backgroundColor: COLORS.primary,
+        contents: [{ type: 'text', text: title, color: '#FFFFFF', weight: 'bold', size: 'lg' }]
+      },
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'lg',
+        contents: body
+      },
+      footer: {
+        type: 'box',
+        layout: 'horizontal',
+        spacing: 'sm',
+        contents: [
+          messageButton('+1', '+1', 'primary'),
+          messageButton('-1', '-1'),
+          messageButton(t(locale, 'dashboard.weatherButton'), t(locale, 'dashboard.weatherCommand'))
+        ]
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildDashboard,
+  dashboardText
+};
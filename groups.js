@@ -0,0 +1,254 @@
+// 📁 groups.js
+
+// Reducing together in LINE group chats. Members of a group opt in with
+// /加入 (optionally anonymously); their counts stay in their own personal
+// logs, and the group only ever sees how much each member cut down. The
+// weekly leaderboard ranks members by the percentage they smoked less per
+// day than the week before, not by raw counts, so heavier smokers who are
+// making progress are not discouraged. Groups live in the settings scope
+// GROUP_SCOPE:
+//   { <groupId>: { createdAt, active, digest, digestTime,
+//                  members: { <userId>: { name, anonymous, alias, joinedAt } } } }
+// Anonymous members are shown as "匿名夥伴 <alias>"; the letter is kept once
+// given, so it does not shift when others join or leave.
+
+const { getStore } = require('./store');
+const { addDays } = require('./dates');
+
+const GROUP_SCOPE = 'groups';
+
+// When the group digest is pushed unless the group picks another time.
+const DEFAULT_DIGEST_TIME = process.env.GROUP_DIGEST_TIME || '21:30';
+
+// Days in one leaderboard week.
+const WEEK_DAYS = 7;
+
+// Leaderboard medals for the top three ranks.
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * The id of the group or multi-person chat an event came from, or null for
+ * a one-to-one chat.
+ */
+function getGroupId (source) {
+  if (!source) return null;
+  if (source.type === 'group') return source.groupId;
+  if (source.type === 'room') return source.roomId;
+  return null;
+}
+
+/**
+ * Load a group, or null when the bot has never been used in it.
+ */
+async function getGroup (groupId) {
+  return (await getStore().getSettings(GROUP_SCOPE))[groupId] || null;
+}
+
+/**
+ * Every group the bot is active in, as [groupId, group] pairs.
+ */
+async function listGroups () {
+  return Object.entries(await getStore().getSettings(GROUP_SCOPE))
+    .filter(([, group]) => group.active !== false);
+}
+
+/**
+ * Change a group inside the groups lock. `fn(group)` edits a copy of the
+ * group (a new one when unknown) and may return a value; the group is saved
+ * afterwards. Resolves to { group, result }.
+ */
+function updateGroup (groupId, fn) {
+  return getStore().withLock(GROUP_SCOPE, async () => {
+    const current = await getGroup(groupId);
+    const group = current
+      ? JSON.parse(JSON.stringify(current))
+      : { createdAt: new Date().toISOString(), active: true, digest: true, members: {} };
+    const result = await fn(group);
+    await getStore().updateSettings(GROUP_SCOPE, { [groupId]: group });
+    return { group, result };
+  });
+}
+
+// The first alias letter no other member of the group uses.
+function freeAlias (group) {
+  const used = new Set(Object.values(group.members).map(m => m.alias));
+  for (let i = 0; ; i++) {
+    const alias = i < 26 ? String.fromCharCode(65 + i) : String(i - 25);
+    if (!used.has(alias)) return alias;
+  }
+}
+
+/**
+ * Add a member to a group, or change how an existing member is shown.
+ * Resolves to { group, result: 'joined' | 'updated' }.
+ */
+function joinGroup (groupId, userId, { name, anonymous }) {
+  return updateGroup(groupId, group => {
+    group.active = true;
+    const existing = group.members[userId];
+    group.members[userId] = {
+      name,
+      anonymous,
+      alias: (existing && existing.alias) || freeAlias(group),
+      joinedAt: existing ? existing.joinedAt : new Date().toISOString()
+    };
+    return existing ? 'updated' : 'joined';
+  });
+}
+
+/**
+ * Remove members from a group. Resolves to { group, result: number removed }.
+ */
+function leaveGroup (groupId, userIds) {
+  return updateGroup(groupId, group => {
+    let removed = 0;
+    for (const userId of userIds) {
+      if (group.members[userId]) {
+        delete group.members[userId];
+        removed++;
+      }
+    }
+    return removed;
+  });
+}
+
+/**
+ * The names shown for a group's members, keyed by userId.
+ */
+function memberLabels (group) {
+  const labels = {};
+  for (const [userId, member] of Object.entries(group.members)) {
+    labels[userId] = member.anonymous ? `匿名夥伴 ${member.alias}` : member.name;
+  }
+  return labels;
+}
+
+// Average per logged day over `days` days ending on `lastDay`, or null when
+// none of them was logged.
+function dailyAverage (totals, lastDay, days) {
+  let sum = 0;
+  let logged = 0;
+  for (let i = 0; i < days; i++) {
+    const day = addDays(lastDay, -i);
+    if (totals[day] == null) continue;
+    sum += totals[day];
+    logged++;
+  }
+  return logged ? sum / logged : null;
+}
+
+/**
+ * Compare a member's last WEEK_DAYS complete days (ending yesterday, since
+ * `today` is still running) with the WEEK_DAYS before. `totals` are the
+ * member's daily totals covering both weeks. Each week is averaged over the
+ * days the member logged, so days without a log count as unknown rather
+ * than smoke-free: stopping logging cannot beat smoking less. Returns
+ * { thisAverage, lastAverage, percent } where `percent` is how much less
+ * they smoked per day, negative for more, and null (pending) unless both
+ * weeks have logged days and last week gives a baseline. Two smoke-free
+ * weeks count as 100%.
+ */
+function weeklyReduction (totals, today) {
+  const yesterday = addDays(today, -1);
+  const thisAverage = dailyAverage(totals, yesterday, WEEK_DAYS);
+  const lastAverage = dailyAverage(totals, addDays(yesterday, -WEEK_DAYS), WEEK_DAYS);
+  let percent = null;
+  if (thisAverage != null && lastAverage > 0) {
+    percent = Math.round((lastAverage - thisAverage) / lastAverage * 100);
+  } else if (thisAverage === 0 && lastAverage === 0) {
+    percent = 100;
+  }
+  return { thisAverage, lastAverage, percent };
+}
+
+/**
+ * Rank members by reduction percentage. `entries` are { label, percent };
+ * members without a baseline are listed separately. Equal percentages
+ * share a rank. Returns { ranked: [{ rank, label, percent }], pending }.
+ */
+function rankMembers (entries) {
+  const ranked = entries
+    .filter(e => e.percent != null)
+    .sort((a, b) => b.percent - a.percent)
+    .map(e => Object.assign({}, e));
+  ranked.forEach((e, i) => {
+    e.rank = i > 0 && ranked[i - 1].percent === e.percent ? ranked[i - 1].rank : i + 1;
+  });
+  return { ranked, pending: entries.filter(e => e.percent == null).map(e => e.label) };
+}
+
+// "減少 30%", "增加 10%" or "持平".
+function describePercent (percent) {
+  if (percent > 0) return `減少 ${percent}%`;
+  if (percent < 0) return `增加 ${-percent}%`;
+  return '持平';
+}
+
+/**
+ * The team's combined change: the members' daily averages summed for last
+ * week against this week's, as a percentage, or null without a baseline.
+ * Only members ranked by weeklyReduction (logged in both weeks) count.
+ */
+function teamReduction (reductions) {
+  const ranked = reductions.filter(r => r.percent != null);
+  const last = ranked.reduce((sum, r) => sum + r.lastAverage, 0);
+  const current = ranked.reduce((sum, r) => sum + r.thisAverage, 0);
+  return last > 0 ? Math.round((last - current) / last * 100) : null;
+}
+
+/**
+ * Describe the weekly leaderboard. `entries` are { label, percent } per
+ * member and `team` the combined percentage (or null).
+ */
+function describeLeaderboard (entries, team) {
+  if (!entries.length) return '群組裡還沒有人加入，輸入 /加入 一起減菸吧！';
+  const { ranked, pending } = rankMembers(entries);
+  const lines = ['🏆 減菸排行（最近 7 天和前 7 天比，每天平均）'];
+  for (const e of ranked) {
+    const prefix = MEDALS[e.rank - 1] || `${e.rank}.`;
+    lines.push(`${prefix} ${e.label}　${describePercent(e.percent)}`);
+  }
+  if (pending.length) lines.push(`資料累積中（兩週都要有記錄）：${pending.join('、')}`);
+  if (team != null) lines.push('', `全隊合計比前 7 天${describePercent(team)}。`);
+  lines.push('', '排行只看和自己前 7 天相比的進步，不比支數 💪');
+  return lines.join('\n');
+}
+
+/**
+ * Describe the end-of-day group digest. `members` are { label, logged,
+ * withinTarget, percent } where `withinTarget` is null for members without
+ * a plan.
+ */
+function describeDigest (members, team, day) {
+  const logged = members.filter(m => m.logged).length;
+  const planned = members.filter(m => m.withinTarget != null);
+  const lines = [`📣 群組日結（${day.slice(5).replace('-', '/')}）`, `今天 ${members.length} 位夥伴中有 ${logged} 位記錄了。`];
+  if (planned.length) {
+    lines.push(`有減量計畫的 ${planned.length} 位裡，${planned.filter(m => m.withinTarget).length} 位守住了今天的目標。`);
+  }
+  if (team != null) lines.push(`最近 7 天全隊比前 7 天${describePercent(team)}。`);
+  const { ranked } = rankMembers(members.filter(m => m.percent > 0));
+  if (ranked.length) {
+    lines.push(`進步最多：${ranked.slice(0, 3).map(e => `${e.label}（${describePercent(e.percent)}）`).join('、')}`);
+  }
+  lines.push('明天也一起加油！輸入 /排行 看完整排行。');
+  return lines.join('\n');
+}
+
+module.exports = {
+  GROUP_SCOPE,
+  DEFAULT_DIGEST_TIME,
+  WEEK_DAYS,
+  getGroupId,
+  getGroup,
+  listGroups,
+  updateGroup,
+  joinGroup,
+  leaveGroup,
+  memberLabels,
+  weeklyReduction,
+  rankMembers,
+  teamReduction,
+  describeLeaderboard,
+  describeDigest
+};
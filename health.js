@@ -0,0 +1,93 @@
+// 📁 health.js
+
+// Health recovery milestones counted from the last logged cigarette. The
+// timeline follows the commonly cited recovery figures used in smoking
+// cessation material; they are encouragement, not medical advice.
+
+const { addDays, getLocalParts, formatMinutes } = require('./dates');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const MILESTONES = [
+  { label: '20 分鐘', after: 20 * MINUTE, text: '心跳和血壓開始回落' },
+  { label: '12 小時', after: 12 * HOUR, text: '血液中的一氧化碳濃度回到正常' },
+  { label: '2 天', after: 2 * DAY, text: '嗅覺和味覺開始恢復' },
+  { label: '3 天', after: 3 * DAY, text: '尼古丁大致排出體外，呼吸變得比較順' },
+  { label: '2 週', after: 14 * DAY, text: '血液循環和肺功能開始改善' },
+  { label: '1 個月', after: 30 * DAY, text: '咳嗽和喘的情況慢慢減少' },
+  { label: '1 年', after: 365 * DAY, text: '冠心病風險降到吸菸者的一半' },
+  { label: '5 年', after: 5 * 365 * DAY, text: '中風風險明顯下降' },
+  { label: '10 年', after: 10 * 365 * DAY, text: '肺癌死亡風險約為吸菸者的一半' },
+  { label: '15 年', after: 15 * 365 * DAY, text: '冠心病風險和不吸菸的人相當' }
+];
+
+/**
+ * Find the last cigarette in an event log. The latest day whose total is
+ * above zero is the day of the last cigarette; its time is the last
+ * positive live adjustment on that day. Days filled in with /修正 or an
+ * import have no time of their own, so only the day is known. Returns
+ * { day, ts } (ts may be null) or null when nothing was ever smoked.
+ */
+function findLastCigarette (events) {
+  const totals = {};
+  for (const e of events) totals[e.day] = (totals[e.day] || 0) + e.amount;
+  const days = Object.keys(totals).filter(d => totals[d] > 0).sort();
+  if (!days.length) return null;
+  const day = days[days.length - 1];
+  const live = events.filter(e => e.day === day && e.type === 'adjust' && e.amount > 0);
+  return { day, ts: live.length ? live[live.length - 1].ts : null };
+}
+
+// "3 天 4 小時 12 分" style duration.
+function formatDuration (ms) {
+  const days = Math.floor(ms / DAY);
+  const hours = Math.floor((ms % DAY) / HOUR);
+  const minutes = Math.floor((ms % HOUR) / MINUTE);
+  const parts = [];
+  if (days) parts.push(`${days} 天`);
+  if (days || hours) parts.push(`${hours} 小時`);
+  parts.push(`${minutes} 分`);
+  return parts.join(' ');
+}
+
+/**
+ * Compose the /健康 report: time since the last cigarette, the milestones
+ * already reached and the next few still ahead. A backfilled last day has
+ * no time, so it is counted from the start of the following day.
+ */
+function composeHealthReport (last, timeZone, today, now = new Date()) {
+  if (!last) {
+    return '還沒有任何抽菸紀錄。保持下去，身體每一分鐘都在恢復！';
+  }
+  let elapsed;
+  let since;
+  if (last.ts) {
+    const at = getLocalParts(new Date(last.ts), timeZone);
+    elapsed = now - new Date(last.ts);
+    since = `上一支菸（${at.date} ${formatMinutes(at.hour * 60 + at.minute)}）`;
+  } else {
+    elapsed = Math.max(0, Date.parse(today) - Date.parse(addDays(last.day, 1)));
+    since = `最後一次有抽菸的 ${last.day}`;
+  }
+  const lines = [`距離${since}已經 ${formatDuration(elapsed)}。`];
+  const passed = MILESTONES.filter(m => elapsed >= m.after);
+  const upcoming = MILESTONES.filter(m => elapsed < m.after).slice(0, 3);
+  if (passed.length) {
+    lines.push('', '已達成：');
+    for (const m of passed) lines.push(`✅ ${m.label}：${m.text}`);
+  }
+  if (upcoming.length) {
+    lines.push('', '接下來：');
+    for (const m of upcoming) lines.push(`⏳ 再 ${formatDuration(m.after - elapsed)}：${m.text}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  MILESTONES,
+  findLastCigarette,
+  formatDuration,
+  composeHealthReport
+};
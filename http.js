@@ -0,0 +1,82 @@
+// 📁 http.js
+
+// Small HTTPS client for the JSON APIs the bot calls. Every request has a
+// timeout, non-2xx responses are errors carrying the status code, and
+// network failures, timeouts, 429 and 5xx responses are retried a bounded
+// number of times with exponential backoff. A reply token only lives for a
+// short while, so the defaults keep the worst case well under a minute.
+
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS || '5000', 10);
+const DEFAULT_RETRIES = 2;
+const BACKOFF_MS = 500;
+
+// Longest error body excerpt kept on the error message.
+const BODY_EXCERPT = 200;
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Whether a failed attempt is worth repeating.
+function isRetryable (err) {
+  if (err.status == null) return !err.parseError;
+  return err.status === 429 || err.status >= 500;
+}
+
+// One GET attempt: resolves to the parsed JSON body or rejects with an
+// Error that has `status` for HTTP errors and `parseError` for bad JSON.
+function attempt (url, timeout) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => (body += chunk));
+      res.on('end', () => {
+        clearTimeout(deadline);
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const err = new Error(`HTTP ${res.statusCode}：${body.slice(0, BODY_EXCERPT)}`);
+          err.status = res.statusCode;
+          return reject(err);
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          const err = new Error(`回應不是 JSON：${body.slice(0, BODY_EXCERPT)}`);
+          err.parseError = true;
+          reject(err);
+        }
+      });
+      res.on('error', reject);
+    });
+    // A deadline for the whole attempt: req.setTimeout only notices an idle
+    // socket, so a server that trickles bytes would never time out.
+    const deadline = setTimeout(() => req.destroy(new Error(`請求逾時（${timeout}ms）`)), timeout);
+    req.on('error', err => {
+      clearTimeout(deadline);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * GET a URL and parse its JSON body. Options: timeout (ms per attempt) and
+ * retries (extra attempts after the first). Rejects with the last error.
+ */
+async function getJSON (url, { timeout = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt(url, timeout);
+    } catch (err) {
+      if (i >= retries || !isRetryable(err)) throw err;
+      const wait = BACKOFF_MS * 2 ** i;
+      console.warn(`HTTP 請求失敗，${wait}ms 後重試（${i + 1}/${retries}）：${err.message}`);
+      await sleep(wait);
+    }
+  }
+}
+
+module.exports = {
+  getJSON
+};
@@ -0,0 +1,197 @@
+// 📁 i18n.js
+
+// Message catalogs. Every JSON file in locales/ holds the bot's texts in one
+// language, named by its locale id (zh-TW, en, ja). Keys are dotted paths
+// into the nested catalog, e.g. t(locale, 'weather.codes.61'). A value is
+//
+//   a string          "{name}" placeholders are filled from the parameters
+//   a plural object   { "one": ..., "other": ... } chosen by the `count`
+//                     parameter with Intl.PluralRules for the locale
+//   an array          a list of strings (help lines, weekdays, or lines a
+//                     reply picks one of); read it with list()
+//
+// The top-level `commands` object maps command words in that language to
+// the canonical command, e.g. "/query": "/查詢", so commands also work in
+// the user's language. The top-level `subcommands` object does the same for
+// the words after a canonical command, e.g. "/夥伴": { "invite": "邀請" }.
+// All catalogs must have the same keys apart from `commands` and
+// `subcommands`; they are checked when loaded and a broken catalog stops the
+// bot at startup. A user's choice is stored in their settings as `locale`.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALE_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'zh-TW';
+const PLURAL_FORMS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+// Arguments resolveCommand passes over without translating: counts, times,
+// dates, thresholds and ranges.
+const VALUE_WORD = /^[\d:.\-\/+%~]+$/;
+
+function isPlural (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    'other' in value && Object.keys(value).every(k => PLURAL_FORMS.includes(k));
+}
+
+// Every leaf key of a catalog as a dotted path, with its value.
+function flatten (node, prefix = '', out = new Map()) {
+  for (const [key, value] of Object.entries(node)) {
+    const full = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'object' && value !== null && !Array.isArray(value) && !isPlural(value)) {
+      flatten(value, full, out);
+    } else {
+      out.set(full, value);
+    }
+  }
+  return out;
+}
+
+/**
+ * Load and validate every catalog in a directory. Returns a Map of locale ->
+ * { messages: Map(key -> value), commands, subcommands }. Throws with every
+ * problem found.
+ */
+function loadCatalogs (dir = LOCALE_DIR) {
+  const catalogs = new Map();
+  const problems = [];
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const locale = path.basename(file, '.json');
+    const { commands = {}, subcommands = {}, ...rest } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const messages = flatten(rest);
+    for (const [key, value] of messages) {
+      const ok = typeof value === 'string' ||
+        (isPlural(value) && Object.values(value).every(v => typeof v === 'string')) ||
+        (Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string'));
+      if (!ok) problems.push(`${file}：${key} 必須是字串、複數形物件或非空的字串陣列`);
+    }
+    for (const [alias, command] of Object.entries(commands)) {
+      if (!alias.startsWith('/') || typeof command !== 'string' || !command.startsWith('/')) {
+        problems.push(`${file}：commands 的「${alias}」必須是 / 開頭的指令`);
+      }
+    }
+    for (const [command, words] of Object.entries(subcommands)) {
+      const ok = command.startsWith('/') && words !== null && typeof words === 'object' && !Array.isArray(words) &&
+        Object.values(words).every(word => typeof word === 'string' && word);
+      if (!ok) problems.push(`${file}：subcommands 的「${command}」必須是 / 開頭的指令對應到字詞表`);
+    }
+    catalogs.set(locale, { messages, commands, subcommands });
+  }
+  const reference = catalogs.get(DEFAULT_LOCALE);
+  if (!reference) throw new Error(`找不到預設語言的訊息檔：${DEFAULT_LOCALE}.json`);
+  for (const [locale, { messages }] of catalogs) {
+    for (const key of reference.messages.keys()) {
+      if (!messages.has(key)) problems.push(`${locale}.json：缺少 ${key}`);
+    }
+    for (const key of messages.keys()) {
+      if (!reference.messages.has(key)) problems.push(`${locale}.json：${DEFAULT_LOCALE}.json 沒有 ${key}`);
+    }
+  }
+  if (problems.length) throw new Error(`訊息檔有誤：\n${problems.join('\n')}`);
+  return catalogs;
+}
+
+const catalogs = loadCatalogs();
+
+// Ids of the available locales, the default first.
+const LOCALES = [DEFAULT_LOCALE].concat([...catalogs.keys()].filter(l => l !== DEFAULT_LOCALE));
+
+/**
+ * The user's locale, falling back to the default when unset or unknown.
+ */
+function getLocale (settings) {
+  const locale = settings && settings.locale;
+  return catalogs.has(locale) ? locale : DEFAULT_LOCALE;
+}
+
+function lookup (locale, key) {
+  const catalog = catalogs.get(locale) || catalogs.get(DEFAULT_LOCALE);
+  return catalog.messages.has(key) ? catalog.messages.get(key) : catalogs.get(DEFAULT_LOCALE).messages.get(key);
+}
+
+// Replace {name} placeholders with values.
+function fill (template, params) {
+  return template.replace(/\{(\w+)\}/g, (m, key) => (key in params ? params[key] : m));
+}
+
+/**
+ * Translate a key, filling in placeholders. Plural messages are chosen by
+ * `params.count`. Unknown keys come back as the key itself so a missing
+ * text is visible rather than fatal.
+ */
+function t (locale, key, params = {}) {
+  let value = lookup(locale, key);
+  if (value == null) return key;
+  if (isPlural(value)) {
+    const form = new Intl.PluralRules(locale).select(params.count || 0);
+    value = value[form] || value.other;
+  }
+  if (Array.isArray(value)) value = value.join('\n');
+  return fill(value, params);
+}
+
+/**
+ * A list message (see the header), with placeholders filled in each item.
+ */
+function list (locale, key, params = {}) {
+  const value = lookup(locale, key);
+  if (!Array.isArray(value)) return value == null ? [] : [t(locale, key, params)];
+  return value.map(item => fill(item, params));
+}
+
+// Whether a key exists in the catalogs.
+function has (key) {
+  return catalogs.get(DEFAULT_LOCALE).messages.has(key);
+}
+
+/**
+ * Find a locale by id or by its name in any catalog ("en", "English",
+ * "英文", "日本語" ...). Returns the locale id or null.
+ */
+function findLocale (text) {
+  const key = text.trim().toLowerCase();
+  for (const locale of LOCALES) {
+    if (locale.toLowerCase() === key) return locale;
+  }
+  for (const [locale, { messages }] of catalogs) {
+    const names = [messages.get('language.name')].concat(messages.get('language.aliases'));
+    if (names.some(name => name.toLowerCase() === key)) return locale;
+  }
+  return null;
+}
+
+/**
+ * Rewrite a command typed in the user's language to the canonical one:
+ * "/query" becomes "/查詢" and "/buddy invite" "/夥伴 邀請" for English
+ * users. Argument words are translated from the left until the first word
+ * that is neither in the command's `subcommands` nor a number or time, so
+ * free text such as a reminder's message or a place name is kept as typed.
+ * Anything else is returned unchanged, so the canonical commands work in
+ * every language.
+ */
+function resolveCommand (msg, locale) {
+  const match = /^(\/\S+)([\s\S]*)$/.exec(msg);
+  if (!match) return msg;
+  const catalog = catalogs.get(locale) || catalogs.get(DEFAULT_LOCALE);
+  const command = catalog.commands[match[1].toLowerCase()] || match[1];
+  const words = catalog.subcommands[command] || {};
+  const parts = match[2].split(/(\s+)/);
+  for (let i = 0; i < parts.length; i++) {
+    if (!parts[i] || /^\s+$/.test(parts[i])) continue;
+    const word = words[parts[i].toLowerCase()];
+    if (word) parts[i] = word;
+    else if (!VALUE_WORD.test(parts[i])) break;
+  }
+  return command + parts.join('');
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  loadCatalogs,
+  getLocale,
+  t,
+  list,
+  has,
+  findLocale,
+  resolveCommand
+};
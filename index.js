@@ -1,23 +1,23 @@
 // 📁 index.js
+// Load .env before anything else: several modules read their settings from
+// process.env when they are first required.
+require('dotenv').config();
 const express = require('express');
 const line = require('@line/bot-sdk');
-const schedule = require('node-schedule');
 const fs = require('fs');
-// Import updated handlers from logic: handleAdjust for numeric adjustments, handleCommand for slash commands,
-// handleInteraction for generic messages, resetDaily and summarizeDay for scheduled tasks.
-const {
-  handleAdjust,
-  handleCommand,
-  resetDaily,
-  summarizeDay,
-  handleInteraction,
-  getTaipeiWeather,
-  composeWeatherReport
-} = require('./logic');
-require('dotenv').config();
+// The bot itself lives in core.js; channel-line.js turns webhook events into its neutral messages
+// and renders its answers as LINE replies and pushes.
+const { createBot } = require('./core');
+const { createLineChannel, handleLineEvent } = require('./channel-line');
+const { createApiRouter } = require('./api');
+const { createDashboardRouter } = require('./dashboard');
+const { createDownloadRouter } = require('./downloads');
 
 const app = express();
 const port = process.env.PORT || 3000;
+// Behind a reverse proxy, trust it for the client IP used by rate limiting.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
 
 // Global error handlers to prevent the process from crashing on unhandled errors.
 process.on('unhandledRejection', (reason, promise) => {
@@ -33,55 +33,23 @@ const config = {
 };
 
 const client = new line.Client(config);
+const bot = createBot(createLineChannel(client));
 
 app.post('/webhook', line.middleware(config), async (req, res) => {
   const events = req.body.events;
-  const results = await Promise.all(events.map(event => {
-    if (event.type === 'message' && event.message.type === 'text') {
-      const msg = event.message.text.trim();
-      // Determine if message is a numeric adjustment: +n, -n, /+n, /-n
-      if (/^[+/\-][+\-]?\d+$/.test(msg)) {
-        // Strip leading slash if present and parse signed integer value
-        const cleaned = msg.startsWith('/') ? msg.slice(1) : msg;
-        const amount = parseInt(cleaned);
-        return handleAdjust(event, client, amount);
-      }
-      // Slash commands
-      if (msg.startsWith('/')) {
-        return handleCommand(msg, event, client);
-      }
-      // Other messages are interactions with 悠悠
-      return handleInteraction(event, client, msg);
-    }
-    // Ignore non-text events
-    return Promise.resolve(null);
-  }));
+  const results = await Promise.all(events.map(event => handleLineEvent(bot, client, event)));
   res.json(results);
 });
 
-// 每日 00:05 依台北時區重置
-schedule.scheduleJob('5 0 * * *', { tz: 'Asia/Taipei' }, () => resetDaily());
-// 每日 23:50 依台北時區統計與發獎勵
-schedule.scheduleJob('50 23 * * *', { tz: 'Asia/Taipei' }, async () => {
-  try {
-    await summarizeDay(client);
-  } catch (err) {
-    console.error('日結訊息發送失敗', err);
-  }
-});
-
-// 每日 06:30 發送台北市天氣預報
-schedule.scheduleJob('30 6 * * *', { tz: 'Asia/Taipei' }, async () => {
-  try {
-    const weather = await getTaipeiWeather();
-    const report = composeWeatherReport(weather);
-    await client.pushMessage(process.env.USER_ID, { type: 'text', text: report });
-    console.log('天氣預報已發送');
-  } catch (err) {
-    console.error('天氣預報發送失敗', err);
-  }
-});
+// 排程每位使用者與群組的推播，以及定期的空氣品質檢查
+bot.start();
 
 app.get('/', (req, res) => res.send('LINE Bot Running.'));
 
+// 以 /登入 取得的 token 存取的 JSON API 與網頁儀表板
+app.use('/api', createApiRouter());
+app.use('/dashboard', createDashboardRouter());
+// /匯出 的短效下載連結
+app.use('/download', createDownloadRouter());
+
 app.listen(port, () => console.log(`Bot running on ${port}`));
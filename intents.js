@@ -0,0 +1,149 @@
+// 📁 intents.js
+
+// Natural-language logging. Free text that is not a command or "+n" is
+// checked here before the character's action keywords, so "剛剛抽了兩支",
+// "早上抽了三根" or "多算了一根，扣掉" update the count instead of getting
+// a random animal reaction. parseIntent returns
+//   { amount, dayOffset, period, unsure }
+// where `amount` is the signed change (its size only when `unsure` includes
+// 'direction'), `dayOffset` is 0, -1 or -2 for today, yesterday and the day
+// before, `period` names a part of the day ({ name, minutes }) or is null,
+// and `unsure` lists why the bot should confirm before recording:
+//   amount     no number was given, so 1 was assumed
+//   direction  "記錯了" without saying whether to add or remove
+//   large      LARGE_AMOUNT or more in one message
+//   vague      hedged with 好像, 大概 and the like, or asked as a question
+// Messages that only mention smoking (想抽, 沒抽, questions) return null.
+// test/intents.corpus.json holds the phrases this is checked against.
+
+const { DEFAULT_PACK_SIZE } = require('./savings');
+
+// Reports of this many cigarettes or more are confirmed first.
+const LARGE_AMOUNT = 10;
+
+const DIGITS = { 零: 0, 〇: 0, 一: 1, 二: 2, 兩: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+const NUMBER = '(\\d+|[零〇一二兩两三四五六七八九十廿]+)';
+const UNIT = '(包半?|支|根|枝)';
+
+// Verb, optional aspect and hedge, then a count: "抽了兩支", "吸完快半包".
+const REPORT = new RegExp(`(?:抽|吸|點|哈)(?:了|掉|完|過)?(快|大概|差不多|將近|約)?\\s*(?:${NUMBER}|(半))\\s*${UNIT}`);
+// A count anywhere in the message, for corrections.
+const COUNT = new RegExp(`(?:${NUMBER}|(半))\\s*${UNIT}`);
+// Smoking without a count: "又抽了", "剛抽完", "抽了一根菸" is caught above.
+const IMPLIED = /(?:抽|吸)(?:了|完)?(?:菸|煙)|又(?:抽|吸)了|(?:剛|剛剛|剛才)(?:抽|吸)(?:了|完)/;
+
+// Talking about smoking rather than reporting it.
+const NOT_A_REPORT = /(?:沒|沒有|不|別|不要|不想|戒)(?:抽|吸)|想(?:抽|吸)|要不要|幾(?:支|根|包)|[?？]|嗎/;
+
+const REMOVE = /多算|多記|多按|多打|扣掉|扣|減掉|刪掉|不算|撤回|取消/;
+const ADD = /少算|少記|漏記|漏算|忘了記|忘記記|補記|再加|加上/;
+const MISTAKE = /記錯|算錯|按錯|打錯/;
+// A correction has to be about the record, not just contain 取消.
+const ABOUT_RECORD = /算|記|按|打|支|根|包/;
+
+const VAGUE = /好像|大概|應該|可能|差不多|快|將近|約/;
+
+const DAYS = [
+  { pattern: /前天/, offset: -2 },
+  { pattern: /昨天|昨晚|昨日|昨夜/, offset: -1 }
+];
+
+// Parts of the day with the time of day recorded for them, in minutes.
+const PERIODS = [
+  { pattern: /凌晨/, name: '凌晨', minutes: 5 * 60 },
+  { pattern: /早上|上午|今早|早晨|清晨/, name: '早上', minutes: 8 * 60 },
+  { pattern: /中午/, name: '中午', minutes: 12 * 60 },
+  { pattern: /下午/, name: '下午', minutes: 15 * 60 },
+  { pattern: /傍晚/, name: '傍晚', minutes: 18 * 60 },
+  { pattern: /晚上|今晚|昨晚|昨夜/, name: '晚上', minutes: 20 * 60 },
+  { pattern: /半夜|深夜/, name: '半夜', minutes: 23 * 60 + 30 }
+];
+
+/**
+ * Parse a number written in digits or Chinese numerals up to 99
+ * (一, 十二, 二十, 廿三, 兩). Returns null for anything else.
+ */
+function parseChineseNumber (text) {
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  const m = /^([一二兩两三四五六七八九])?(十|廿)?([一二三四五六七八九])?$/.exec(text);
+  if (m && (m[1] || m[2])) {
+    if (!m[2]) return m[3] ? null : DIGITS[m[1]];
+    const tens = m[2] === '廿' ? (m[1] ? null : 2) : (m[1] ? DIGITS[m[1]] : 1);
+    return tens == null ? null : tens * 10 + (m[3] ? DIGITS[m[3]] : 0);
+  }
+  if (/^[零〇]$/.test(text)) return 0;
+  return null;
+}
+
+// Turn a matched number (or 半) and unit into cigarettes.
+function toCigarettes (number, half, unit, packSize) {
+  if (half) return unit.startsWith('包') ? Math.round(packSize / 2) : null;
+  const n = parseChineseNumber(number);
+  if (n == null) return null;
+  if (unit === '包') return n * packSize;
+  if (unit === '包半') return Math.round((n + 0.5) * packSize);
+  return n;
+}
+
+// Which day and part of the day the message talks about.
+function findWhen (text) {
+  const day = DAYS.find(d => d.pattern.test(text));
+  const period = PERIODS.find(p => p.pattern.test(text));
+  return {
+    dayOffset: day ? day.offset : 0,
+    period: period ? { name: period.name, minutes: period.minutes } : null
+  };
+}
+
+/**
+ * Parse a free-text message into a logging intent, or null when it is not
+ * one. `packSize` converts 半包 and 一包 into cigarettes.
+ */
+function parseIntent (message, { packSize = DEFAULT_PACK_SIZE } = {}) {
+  const text = message.replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  const when = findWhen(text);
+  const unsure = [];
+
+  // Corrections first: "多算了一根" contains a count but removes it.
+  const remove = REMOVE.test(text);
+  const add = ADD.test(text);
+  const mistake = MISTAKE.test(text);
+  if ((remove || add || mistake) && ABOUT_RECORD.test(text) && !(remove && add)) {
+    let amount = 1;
+    const m = COUNT.exec(text);
+    if (m) {
+      amount = toCigarettes(m[1], m[2], m[3], packSize);
+      if (!amount) return null;
+    } else if (!/[那這]一?(?:支|根)/.test(text)) {
+      unsure.push('amount');
+    }
+    if (!remove && !add) unsure.push('direction');
+    if (amount >= LARGE_AMOUNT) unsure.push('large');
+    if (VAGUE.test(text) || /[?？]|嗎/.test(text)) unsure.push('vague');
+    return { amount: remove ? -amount : amount, dayOffset: when.dayOffset, period: null, unsure };
+  }
+
+  if (NOT_A_REPORT.test(text)) return null;
+  let amount;
+  const m = REPORT.exec(text);
+  if (m) {
+    amount = toCigarettes(m[2], m[3], m[4], packSize);
+    if (!amount) return null;
+  } else if (IMPLIED.test(text)) {
+    amount = 1;
+    unsure.push('amount');
+  } else {
+    return null;
+  }
+  if (amount >= LARGE_AMOUNT) unsure.push('large');
+  if (VAGUE.test(text)) unsure.push('vague');
+  return { amount, dayOffset: when.dayOffset, period: when.period, unsure };
+}
+
+module.exports = {
+  LARGE_AMOUNT,
+  parseChineseNumber,
+  parseIntent
+};
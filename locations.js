@@ -0,0 +1,57 @@
+// 📁 locations.js
+
+// Weather locations. Place names are resolved offline against cities.json,
+// a table of Taiwan's cities and counties with the coordinates of their
+// seats; "25.03,121.56" style coordinates are accepted as well. A user's
+// default location is stored in their settings as
+//   location: { name, lat, lon }
+
+const cities = require('./cities.json');
+
+// Used when the user has not picked a location.
+const DEFAULT_LOCATION = { name: '台北市', lat: 25.0478, lon: 121.5319 };
+
+// Lower-case, unify 臺/台 and drop spaces so "臺北", "taipei" and "Taipei" match.
+function normalise (text) {
+  return text.trim().toLowerCase().replace(/臺/g, '台').replace(/\s+/g, '');
+}
+
+// Name without its 市/縣 suffix.
+function shortName (name) {
+  return name.replace(/[市縣]$/, '');
+}
+
+/**
+ * Resolve a place name or "lat,lon" into { name, lat, lon }. Short names
+ * like "新竹" pick the first match in the table, which lists cities before
+ * the counties of the same name. Returns null when nothing matches.
+ */
+function resolveLocation (text) {
+  const coords = /^(-?\d+(?:\.\d+)?)\s*[,，\s]\s*(-?\d+(?:\.\d+)?)$/.exec(text.trim());
+  if (coords) {
+    const lat = parseFloat(coords[1]);
+    const lon = parseFloat(coords[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { name: `座標（${lat}, ${lon}）`, lat, lon };
+  }
+  const key = normalise(text);
+  if (!key) return null;
+  const match =
+    cities.find(c => normalise(c.name) === key) ||
+    cities.find(c => c.aliases.some(a => normalise(a) === key)) ||
+    cities.find(c => normalise(shortName(c.name)) === key);
+  return match ? { name: match.name, lat: match.lat, lon: match.lon } : null;
+}
+
+/**
+ * The user's weather location, falling back to DEFAULT_LOCATION.
+ */
+function getLocation (settings) {
+  return (settings && settings.location) || DEFAULT_LOCATION;
+}
+
+module.exports = {
+  DEFAULT_LOCATION,
+  resolveLocation,
+  getLocation
+};
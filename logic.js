@@ -1,180 +1,317 @@
 // 📁 logic.js
 
 
-// This module manages persistent data, daily reset logic, reward summarisation,
-// numeric adjustments and interactive responses for the smoking bot. It also
-// defines a rich set of reactions for the virtual character 悠悠 so that the
-// bot can generate varied feedback based on both smoking counts and user
-// interactions.
+// This module manages per-user data (keyed by LINE userId) on top of the
+// storage backend in store.js, the timestamped smoking event log with its
+// daily history, achievement checks, numeric adjustments and interactive
+// responses for the smoking bot. What the character says (悠悠 by default)
+// comes from the content packs loaded by characters.js, so the bot can give
+// varied feedback on both smoking counts and user interactions. The help,
+// count, weather and summary texts come from the message catalogs in
+// i18n.js in the user's language (/language); the other replies are still
+// written in Traditional Chinese.
 
-const fs = require('fs');
-const https = require('https');
-const path = './data.json';
-const rewards = require('./rewards.json');
+const { getJSON } = require('./http');
+const { DEFAULT_LOCALE, LOCALES, getLocale, t, list, has, findLocale, resolveCommand } = require('./i18n');
+const { createCache } = require('./cache');
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DAY_CUTOFF,
+  isValidTimeZone,
+  parseTime,
+  parseCutoff,
+  formatMinutes,
+  getLocalParts,
+  addDays,
+  getDayKey,
+  isDayKey
+} = require('./dates');
+const { scheduleUserJob, cancelUserJob, cancelUserJobs, listUserJobs } = require('./scheduler');
+const { getStore } = require('./store');
+const { getTarget, parsePlan, describePlan } = require('./plan');
+const { sparkline } = require('./charts');
+const { buildDashboard } = require('./flex');
+const { registerPostback, encodePostback } = require('./postback');
+const { judgeDay, rejudgeFrom } = require('./streak');
+const { parseCorrection, needsConfirmation, resolveTotal, describeAuditTrail } = require('./corrections');
+const {
+  buildContext,
+  evaluate,
+  reevaluateFrom,
+  composeAchievementReport,
+  rewardMessages
+} = require('./achievements');
+const { parseAdjustment, mergeTriggers, analyseEvents, composeAnalysisReport } = require('./triggers');
+const { parsePrice, composeSavingsReport, describeDaySavings } = require('./savings');
+const { findLastCigarette, composeHealthReport } = require('./health');
+const {
+  CHECKIN_MINUTES,
+  pickExercise,
+  checkinTimes,
+  expiryTime,
+  checkinText,
+  countCravings,
+  describeCravings
+} = require('./cravings');
+const { DEFAULT_LOCATION, resolveLocation, getLocation } = require('./locations');
+const { parseIntent } = require('./intents');
+const { TOKEN_DAYS, LOGIN_CODE_MINUTES, issueToken, revokeTokens, createLoginCode } = require('./auth');
+const {
+  parseDailyCsv,
+  planImport,
+  importChanges,
+  describeImportErrors,
+  describeImportPreview
+} = require('./transfer');
+const { DOWNLOAD_MINUTES, createDownload } = require('./downloads');
+const {
+  INVITE_HOURS,
+  MAX_CHEERS_PER_DAY,
+  SHARE_LEVELS,
+  createInvite,
+  findInvite,
+  consumeInvite,
+  newBuddy,
+  isActive,
+  pickCheer,
+  composeBuddyAlert,
+  describeBuddy
+} = require('./buddy');
+const {
+  DEFAULT_DIGEST_TIME,
+  WEEK_DAYS,
+  getGroupId,
+  getGroup,
+  listGroups,
+  updateGroup,
+  joinGroup,
+  leaveGroup,
+  memberLabels,
+  weeklyReduction,
+  teamReduction,
+  describeLeaderboard,
+  describeDigest
+} = require('./groups');
+const {
+  getCompanion,
+  applyInteraction,
+  applySmoking,
+  applyDay,
+  moodOf,
+  describeCompanion
+} = require('./companion');
+const {
+  getCharacter,
+  findCharacter,
+  listCharacters,
+  moodLine,
+  countReaction,
+  matchAction,
+  interactionReaction,
+  weatherReaction
+} = require('./characters');
+const {
+  getAirAlert,
+  updateEpisodes,
+  composeAirAlert,
+  parseThreshold,
+  describeAirAlert
+} = require('./airquality');
+const {
+  MAX_REMINDERS,
+  parseReminder,
+  parseQuietHours,
+  isQuietTime,
+  getWeatherTime,
+  normaliseTime,
+  reminderSchedule,
+  nextReminderId,
+  describeReminders
+} = require('./reminders');
 
 /* --------------------------------------------------------------------------
- * Helpers for loading, saving and resetting persistent data
+ * Helpers for loading and saving persistent data
  * ------------------------------------------------------------------------ */
 
-// Return current date string (YYYY-MM-DD).
-function getToday () {
-  return new Date().toISOString().slice(0, 10);
+// The user's timezone and "day ends at" cutoff, falling back to defaults.
+function getTimeZone (settings) {
+  return (settings && settings.timezone) || DEFAULT_TIMEZONE;
 }
 
-// Ensure the data file exists; initialise with default values if absent.
-function ensureDataFile () {
-  if (!fs.existsSync(path)) {
-    const initial = { date: getToday(), today: 0, yesterday: 0, streak: 0 };
-    fs.writeFileSync(path, JSON.stringify(initial, null, 2));
-  }
+function getDayCutoff (settings) {
+  return (settings && settings.dayCutoff) || DEFAULT_DAY_CUTOFF;
 }
-// Load persisted data.
-function loadData () {
-  ensureDataFile();
-  const data = JSON.parse(fs.readFileSync(path));
-  let updated = false;
-  // Guarantee presence of essential keys
-  if (data.date == null || data.date === '') {
-    data.date = getToday();
-    updated = true;
-  }
-  if (typeof data.today !== 'number') {
-    data.today = 0;
-    updated = true;
-  }
-  if (typeof data.yesterday !== 'number') {
-    data.yesterday = 0;
-    updated = true;
-  }
-  if (typeof data.streak !== 'number') {
-    data.streak = 0;
-    updated = true;
-  }
-  if (updated) {
-    saveData(data);
-  }
-  return data;
+
+// Return the user's current bot day (YYYY-MM-DD) in their own timezone.
+function getToday (settings) {
+  return getDayKey(new Date(), getTimeZone(settings), getDayCutoff(settings));
 }
 
-// Save data to disk.
-function saveData (data) {
-  fs.writeFileSync(path, JSON.stringify(data, null, 2));
+// Return the ids of every registered user.
+function listUsers () {
+  return getStore().listUsers();
 }
 
-// If stored date differs from today, roll today into yesterday and reset today.
-function autoResetIfNewDay (data) {
-  const today = getToday();
-  if (data.date !== today) {
-    data.yesterday = data.today;
-    data.today = 0;
-    data.date = today;
-  }
-  return data;
+// Register a user if they are not yet known. Resolves true for a new user.
+async function registerUser (userId) {
+  const store = getStore();
+  if (await store.getUser(userId)) return false;
+  await store.saveUser({ id: userId, streak: 0 });
+  return true;
+}
+
+// Load a user's state (streak and friends), registering them on first use.
+async function loadUser (userId) {
+  const store = getStore();
+  const user = await store.getUser(userId);
+  if (user) return user;
+  return store.saveUser({ id: userId, streak: 0 });
+}
 
-  
+// Load a user's settings (timezone, day cutoff, ...).
+function loadSettings (userId) {
+  return getStore().getSettings(userId);
 }
 
 /* --------------------------------------------------------------------------
- * Reaction templates for smoking counts 1–20
+ * Smoking event log and daily history
  * ------------------------------------------------------------------------ */
 
-// Predefined messages for counts 1–20 including 悠悠’s reactions. Each string
-// contains a base message with line breaks. If today’s count lies within
-// 1..20, the corresponding entry will be used verbatim.
-const countReactions = [
-  '今天第 1 支菸。\n超過昨天了，現在是 1 支。還想拿獎勵嗎？\n悠悠聽到後打了個哈欠，抱著自己的尾巴蜷縮在一起，眨了眨眼就睡著了(˘ω˘).｡oO💤～啾～',
-  '今天第 2 支菸。\n超過昨天了，現在是 2 支。還想拿獎勵嗎？\n悠悠翻了個身，用小爪子拍拍自己的臉頰，又用尾巴在空中畫圈圈(˶˚ᴗ˚˶)｡oO',
-  '今天第 3 支菸。\n超過昨天了，現在是 3 支。還想拿獎勵嗎？\n悠悠抱著小手輕輕揮手，眼睛瞇成一條線，發出輕輕的啾啾聲(๑˃̵ᴗ˂̵)و💨',
-  '今天第 4 支菸。\n超過昨天了，現在是 4 支。還想拿獎勵嗎？\n悠悠雙手揣在胸前，腦袋歪了一下(｡･ω･｡)?，尾巴輕輕拍打地面撲通撲通',
-  '今天第 5 支菸。\n超過昨天了，現在是 5 支。還想拿獎勵嗎？\n悠悠撓了撓肚子，伸出小爪子做出擁抱姿勢，眼神亮亮地看著你(*´∀`)ﾉ',
-  '今天第 6 支菸。\n超過昨天了，現在是 6 支。還想拿獎勵嗎？\n悠悠悄悄地用爪子遮住眼睛，再忽然張開做出驚喜的動作(・∀・)ノ',
-  '今天第 7 支菸。\n超過昨天了，現在是 7 支。還想拿獎勵嗎？\n悠悠輕輕搖晃著身體，尾巴繞成小圓圈，最後摟著自己的尾巴躺平嗚嗚～',
-  '今天第 8 支菸。\n超過昨天了，現在是 8 支。還想拿獎勵嗎？\n悠悠用小手拍了拍水面，濺出小水花，揮手示意你靠近(*≧ω≦)ゞ',
-  '今天第 9 支菸。\n超過昨天了，現在是 9 支。還想拿獎勵嗎？\n悠悠打了個滾，臉頰貼在地上，尾巴翹了起來，做出撒嬌的動作( ˘•ω•˘ )ゝ',
-  '今天第 10 支菸。\n超過昨天了，現在是 10 支。還想拿獎勵嗎？\n悠悠撲通一下趴在你面前，用爪子輕撫自己的臉頰，露出期待的眼神(人´∀｀)♡',
-  '今天第 11 支菸。\n超過昨天了，現在是 11 支。還想拿獎勵嗎？\n悠悠側身躺著，眼睛眨呀眨，尾巴繞著自己畫圓，像是在思考嗚嗚～',
-  '今天第 12 支菸。\n超過昨天了，現在是 12 支。還想拿獎勵嗎？\n悠悠雙手合十放在胸前，臉頰微紅，用力搖頭表示撒嬌的拒絕(๑>◡<๑)',
-  '今天第 13 支菸。\n超過昨天了，現在是 13 支。還想拿獎勵嗎？\n悠悠縮成一團，再慢慢伸展四肢，尾巴輕點地面發出啾啾聲(*˘︶˘*).｡oO',
-  '今天第 14 支菸。\n超過昨天了，現在是 14 支。還想拿獎勵嗎？\n悠悠抱著自己的尾巴，眨眼微笑，尾巴輕輕拍打著小水花(≧▽≦)ゞ',
-  '今天第 15 支菸。\n超過昨天了，現在是 15 支。還想拿獎勵嗎？\n悠悠用小爪子捂住嘴巴，像是在打呵欠，又伸手向你討摸摸(˶‾᷄ ⁻̫ ‾᷅˵)',
-  '今天第 16 支菸。\n超過昨天了，現在是 16 支。還想拿獎勵嗎？\n悠悠用爪子拍拍水面，然後抬頭看著你，尾巴繞了幾圈後停在胸前(˘･ᴗ･˘)',
-  '今天第 17 支菸。\n超過昨天了，現在是 17 支。還想拿獎勵嗎？\n悠悠將小手放在臉旁，眨眼賣萌，用尾巴輕拍自己像在自言自語(｡>﹏<｡)',
-  '今天第 18 支菸。\n超過昨天了，現在是 18 支。還想拿獎勵嗎？\n悠悠在原地打了個滾，抱著自己的尾巴撒嬌，耳邊傳來輕輕的啾啾聲(づ｡◕‿‿◕｡)づ',
-  '今天第 19 支菸。\n超過昨天了，現在是 19 支。還想拿獎勵嗎？\n悠悠把尾巴繞成愛心形狀，輕輕點頭又搖頭，像是在表示矛盾(♡˙︶˙♡)',
-  '今天第 20 支菸。\n超過昨天了，現在是 20 支。還想拿獎勵嗎？\n悠悠抱著自己的尾巴在水面上慢慢打轉，最後靠在你腳邊睡著了( ᐡ-ܫ-ᐡ )💤'
-];
+// Total number of cigarettes logged on the given day.
+async function getDailyTotal (userId, day) {
+  const totals = await getStore().getDailyTotals(userId, { from: day, to: day });
+  return totals[day] || 0;
+}
 
-/* --------------------------------------------------------------------------
- * Components for constructing >1000 unique interaction responses
- * ------------------------------------------------------------------------ */
+/**
+ * Append a timestamped adjustment to the user's event log. A day's total
+ * never falls below zero, so the recorded amount is the change that was
+ * actually applied. `extra` carries optional event fields such as tags.
+ * Resolves to the new total for today.
+ */
+async function recordEvent (userId, settings, amount, type = 'adjust', extra = {}) {
+  const day = getToday(settings);
+  const current = await getDailyTotal(userId, day);
+  const applied = Math.max(amount, -current);
+  const event = Object.assign({ ts: new Date().toISOString(), day, amount: applied, type }, extra);
+  await getStore().addEvent(userId, event);
+  return current + applied;
+}
+
+/**
+ * Return the daily totals for the last `days` days ending today, oldest
+ * first. Days before the user's first record are left out so that new users
+ * are not judged on days they never logged.
+ */
+async function getHistory (userId, settings, days) {
+  const today = getToday(settings);
+  const totals = await getStore().getDailyTotals(userId);
+  const recorded = Object.keys(totals).sort();
+  const first = recorded.length ? recorded[0] : today;
+  const history = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = addDays(today, -i);
+    if (day < first) continue;
+    history.push({ day, count: totals[day] || 0 });
+  }
+  return history;
+}
 
-// Emoticons and expressive faces used by 悠悠 to convey emotion.
-const emoticons = [
-  '(˶˚ᴗ˚˶)', '(๑˃̵ᴗ˂̵)و', '(｡･ω･｡)?', '(≧▽≦)ゞ', '(˘ω˘)', '(づ｡◕‿‿◕｡)づ', '(｡>﹏<｡)', '(*´∀`)ﾉ'
-];
+/**
+ * Build the achievement evaluation context from the user's whole history.
+ * `lastCompleteDay` is the latest day that has ended.
+ */
+async function loadAchievementContext (userId, user, lastCompleteDay) {
+  const totals = await getStore().getDailyTotals(userId);
+  const events = await getStore().listEvents(userId);
+  const loggedDays = new Set(events.map(e => e.day));
+  const days = Object.keys(totals).sort();
+  return buildContext({
+    totals,
+    loggedDays,
+    results: user.results,
+    firstDay: days.length ? days[0] : lastCompleteDay,
+    lastCompleteDay,
+    streak: user.streak
+  });
+}
+
+/**
+ * Collect the numbers shown on the dashboard for `day`: that day and the one
+ * before, the plan target, the streak and the seven days ending on `day`,
+ * each with its own target.
+ */
+async function getDashboardData (userId, settings, streak, title, day = getToday(settings)) {
+  const from = addDays(day, -7);
+  const totals = await getStore().getDailyTotals(userId, { from, to: day });
+  const history = [];
+  for (let i = 6; i >= 0; i--) {
+    const d = addDays(day, -i);
+    history.push({ day: d, count: totals[d] || 0, target: getTarget(settings.plan, d) });
+  }
+  return {
+    title,
+    today: totals[day] || 0,
+    yesterday: totals[addDays(day, -1)] || 0,
+    target: getTarget(settings.plan, day),
+    streak,
+    history
+  };
+}
 
-// Sound words to accompany actions.
-const sounds = ['啾啾', '撲通', '嗚嗚', '呀～'];
+/**
+ * Compose the /歷史 report: a sparkline over the range, one line per day
+ * with its own bar, the daily average and the best and worst days.
+ */
+async function composeHistoryReport (userId, settings, days) {
+  const history = await getHistory(userId, settings, days);
+  const counts = history.map(h => h.count);
+  const bars = sparkline(counts);
+  const lines = [`最近 ${days} 天抽菸紀錄：`, bars];
+  history.forEach((h, i) => {
+    lines.push(`${h.day.slice(5)} ${bars[i]} ${h.count} 支`);
+  });
+  const total = counts.reduce((a, b) => a + b, 0);
+  const avg = (total / history.length).toFixed(1);
+  const best = history.reduce((a, b) => (b.count < a.count ? b : a));
+  const worst = history.reduce((a, b) => (b.count > a.count ? b : a));
+  lines.push(`共 ${total} 支，平均每天 ${avg} 支。`);
+  lines.push(`最好的一天：${best.day}（${best.count} 支）`);
+  lines.push(`最多的一天：${worst.day}（${worst.count} 支）`);
+  return lines.join('\n');
+}
 
 /* --------------------------------------------------------------------------
  * Weather utilities
  * ------------------------------------------------------------------------ */
 
-// Mapping of Open‑Meteo weather codes to descriptive Chinese phrases.  The codes
-// follow the WMO standard where 0 denotes clear skies and increasing numbers
-// represent increasing severity.  Only commonly occurring codes are mapped; any
-// unknown codes will fall back to showing the numeric code.
-const weatherCodeMap = {
-  0: '晴朗',
-  1: '少雲',
-  2: '半雲',
-  3: '多雲',
-  45: '有霧',
-  48: '霧凇',
-  51: '輕微霧雨',
-  53: '中度霧雨',
-  55: '強霧雨',
-  56: '輕微冰霧雨',
-  57: '強冰霧雨',
-  61: '小雨',
-  63: '中雨',
-  65: '大雨',
-  66: '輕微冰雨',
-  67: '強冰雨',
-  71: '小雪',
-  73: '中雪',
-  75: '大雪',
-  77: '雪粒',
-  80: '陣雨',
-  81: '中陣雨',
-  82: '大陣雨',
-  85: '陣雪',
-  86: '強陣雪',
-  95: '雷雨',
-  96: '雷雨伴有冰雹',
-  99: '雷雨伴有強冰雹'
-};
+// Weather reports by rounded coordinates, kept across restarts.
+const weatherCache = createCache({
+  file: process.env.WEATHER_CACHE_FILE || './weather-cache.json',
+  ttl: parseInt(process.env.WEATHER_CACHE_MINUTES || '30', 10) * 60 * 1000
+});
+
+// Whether an Open‑Meteo forecast has the fields getWeather reads.
+function isWeatherPayload (w) {
+  return Boolean(w && w.current_weather && w.daily && w.hourly &&
+    Array.isArray(w.daily.temperature_2m_max) && Array.isArray(w.daily.temperature_2m_min));
+}
 
 /**
- * Fetch the current and daily weather for Taipei City using the Open‑Meteo API.
- * The API does not require an API key.  Returns an object containing the
- * current temperature, maximum and minimum temperatures for today and a
- * descriptive string for the current weather code.  In case of failure, the
- * returned promise will reject.
- */
-/**
- * Fetch detailed weather and air quality data for Taipei City using the
- * Open‑Meteo Weather and Air Quality APIs.  In addition to the current
+ * Fetch detailed weather and air quality data for a location ({ name, lat,
+ * lon }, Taipei City by default) using the Open‑Meteo Weather and Air
+ * Quality APIs, which do not require an API key.  In addition to the current
  * conditions and daily maximum/minimum temperatures, this function also
  * retrieves the next six hours of temperature, relative humidity and
  * precipitation probability along with air quality indices including UV
  * index and fine particulate concentrations.  All values are averaged or
  * summarised to present a concise overview.  The function returns a
  * promise that resolves to an object with the following properties:
+ *   place – the location's name
  *   currentTemp – current temperature in °C
  *   max – daily maximum temperature
  *   min – daily minimum temperature
- *   codeDesc – Chinese description of the current weather code
+ *   code – WMO code of the current weather (see describeWeatherCode)
  *   nextMax – maximum temperature over the next six hours
  *   nextMin – minimum temperature over the next six hours
  *   avgHumidity – average relative humidity (%) over the next six hours
@@ -182,326 +319,150 @@ const weatherCodeMap = {
  *   uvIndex – current UV index
  *   pm25 – current PM2.5 concentration (µg/m³)
  *   pm10 – current PM10 concentration (µg/m³)
+ * Reports are cached per location for WEATHER_CACHE_MINUTES. If Open‑Meteo
+ * cannot be reached, the last cached report is returned with `stale: true`
+ * and `fetchedAt` (ms timestamp); without one the promise rejects.
  */
-function getTaipeiWeather () {
+async function getWeather (location = DEFAULT_LOCATION) {
+  // Nearby points share a cache entry; the name is the caller's.
+  const key = `${location.lat.toFixed(2)},${location.lon.toFixed(2)}`;
+  const cached = weatherCache.get(key);
+  if (cached && cached.fresh) return Object.assign({}, cached.value, { place: location.name });
+  // Local time at the location decides which day "today" is.
+  const where = `latitude=${location.lat}&longitude=${location.lon}&timezone=auto`;
   // Endpoint for weather forecast with hourly variables: temperature, humidity and precipitation probability.
   const weatherUrl =
-    'https://api.open-meteo.com/v1/forecast?latitude=25.0478&longitude=121.5319&current_weather=true&hourly=temperature_2m,relativehumidity_2m,precipitation_probability&daily=temperature_2m_max,temperature_2m_min&forecast_hours=6&timezone=Asia%2FTaipei';
+    `https://api.open-meteo.com/v1/forecast?${where}&current_weather=true&hourly=temperature_2m,relativehumidity_2m,precipitation_probability&daily=temperature_2m_max,temperature_2m_min&forecast_hours=6`;
   // Endpoint for air quality including UV index and particulate matter for the next six hours.
   const airUrl =
-    'https://air-quality-api.open-meteo.com/v1/air-quality?latitude=25.0478&longitude=121.5319&hourly=uv_index,pm2_5,pm10&forecast_hours=6&timezone=Asia%2FTaipei';
-  // Helper to perform HTTPS GET and parse JSON.
-  function fetchJSON (url) {
-    return new Promise((resolve, reject) => {
-      https
-        .get(url, res => {
-          let body = '';
-          res.on('data', chunk => (body += chunk));
-          res.on('end', () => {
-            try {
-              resolve(JSON.parse(body));
-            } catch (e) {
-              reject(e);
-            }
-          });
-        })
-        .on('error', err => reject(err));
-    });
+    `https://air-quality-api.open-meteo.com/v1/air-quality?${where}&hourly=uv_index,pm2_5,pm10&forecast_hours=6`;
+  let w;
+  let a;
+  try {
+    [w, a] = await Promise.all([getJSON(weatherUrl), getJSON(airUrl)]);
+    // A 200 with an unexpected body is treated like an outage.
+    if (!isWeatherPayload(w) || !a || typeof a !== 'object') throw new Error('天氣資料格式不符');
+  } catch (err) {
+    // Upstream is down: fall back to the last report we have, marked stale.
+    if (!cached) throw err;
+    console.warn(`天氣資料取得失敗，改用快取：${location.name}`, err.message);
+    return Object.assign({}, cached.value, { place: location.name, stale: true, fetchedAt: cached.fetchedAt });
   }
-  return Promise.all([fetchJSON(weatherUrl), fetchJSON(airUrl)]).then(([w, a]) => {
-    // Extract current weather and daily max/min.
-    const currTemp = w.current_weather.temperature;
-    const code = w.current_weather.weathercode;
-    const max = w.daily.temperature_2m_max[0];
-    const min = w.daily.temperature_2m_min[0];
-    const desc = weatherCodeMap[code] || `代碼 ${code}`;
-    // Extract next 6 hours hourly arrays (length may be less than 6 if API returns shorter horizon).
-    const temps = (w.hourly.temperature_2m || []).slice(0, 6);
-    const hums = (w.hourly.relativehumidity_2m || []).slice(0, 6);
-    const precs = (w.hourly.precipitation_probability || []).slice(0, 6);
-    const nextMax = temps.length ? Math.max(...temps) : null;
-    const nextMin = temps.length ? Math.min(...temps) : null;
-    const avgHumidity = hums.length
-      ? Math.round(hums.reduce((a, b) => a + b, 0) / hums.length)
-      : null;
-    const avgPrecip = precs.length
-      ? Math.round(precs.reduce((a, b) => a + b, 0) / precs.length)
-      : null;
-    // Air quality: take first hour as representative for current values.
-    const uvIndex = a.hourly && a.hourly.uv_index ? a.hourly.uv_index[0] : null;
-    const pm25 = a.hourly && a.hourly.pm2_5 ? a.hourly.pm2_5[0] : null;
-    const pm10 = a.hourly && a.hourly.pm10 ? a.hourly.pm10[0] : null;
-    return {
-      currentTemp: currTemp,
-      max,
-      min,
-      codeDesc: desc,
-      nextMax,
-      nextMin,
-      avgHumidity,
-      avgPrecip,
-      uvIndex,
-      pm25,
-      pm10
-    };
-  });
+  // Extract current weather and daily max/min.
+  const currTemp = w.current_weather.temperature;
+  const code = w.current_weather.weathercode;
+  const max = w.daily.temperature_2m_max[0];
+  const min = w.daily.temperature_2m_min[0];
+  // Extract next 6 hours hourly arrays (length may be less than 6 if API returns shorter horizon).
+  const temps = (w.hourly.temperature_2m || []).slice(0, 6);
+  const hums = (w.hourly.relativehumidity_2m || []).slice(0, 6);
+  const precs = (w.hourly.precipitation_probability || []).slice(0, 6);
+  const nextMax = temps.length ? Math.max(...temps) : null;
+  const nextMin = temps.length ? Math.min(...temps) : null;
+  const avgHumidity = hums.length
+    ? Math.round(hums.reduce((a, b) => a + b, 0) / hums.length)
+    : null;
+  const avgPrecip = precs.length
+    ? Math.round(precs.reduce((a, b) => a + b, 0) / precs.length)
+    : null;
+  // Air quality: take first hour as representative for current values.
+  const uvIndex = a.hourly && a.hourly.uv_index ? a.hourly.uv_index[0] : null;
+  const pm25 = a.hourly && a.hourly.pm2_5 ? a.hourly.pm2_5[0] : null;
+  const pm10 = a.hourly && a.hourly.pm10 ? a.hourly.pm10[0] : null;
+  const weather = {
+    place: location.name,
+    currentTemp: currTemp,
+    max,
+    min,
+    code,
+    nextMax,
+    nextMin,
+    avgHumidity,
+    avgPrecip,
+    uvIndex,
+    pm25,
+    pm10
+  };
+  weatherCache.set(key, weather);
+  return weather;
+}
+
+// Taipei weather; kept for callers from before locations were configurable.
+function getTaipeiWeather () {
+  return getWeather(DEFAULT_LOCATION);
+}
+
+// Describe a WMO weather code in the user's language.
+function describeWeatherCode (code, locale = DEFAULT_LOCALE) {
+  const key = `weather.codes.${code}`;
+  return has(key) ? t(locale, key) : t(locale, 'weather.unknownCode', { code });
 }
 
 /**
- * Compose a weather report string for Taipei using the given weather object.
- * Adds a cute reaction from 悠悠 to integrate with the virtual character’s
- * behaviour module.  The reaction is constructed using buildReaction.
+ * Compose a weather report string for the weather object's place, in the
+ * given language. Closes with a reaction from the given character (悠悠 by
+ * default) in the given mood.
  */
-function composeWeatherReport (weather) {
-  const base = '悠悠抬頭看看窗外的天氣，';
-  const reaction = buildReaction(base);
+function composeWeatherReport (weather, pack = getCharacter(), mood = 'calm', locale = DEFAULT_LOCALE) {
+  const reaction = weatherReaction(pack, mood, locale);
+  // Join the optional values present into one sentence.
+  const sentence = parts => parts.join(t(locale, 'weather.separator')) + t(locale, 'weather.end');
   // Build lines for the detailed report.  Only include optional values when available.
   const lines = [];
-  lines.push(`台北市今日天氣：${weather.codeDesc}。`);
-  lines.push(`現在溫度 ${weather.currentTemp}°C，最高 ${weather.max}°C，最低 ${weather.min}°C。`);
+  if (weather.stale) {
+    const minutes = Math.max(1, Math.round((Date.now() - weather.fetchedAt) / 60000));
+    const age = minutes < 60
+      ? t(locale, 'weather.minutes', { count: minutes })
+      : t(locale, 'weather.hours', { count: Math.round(minutes / 60) });
+    lines.push(t(locale, 'weather.stale', { age }));
+  }
+  lines.push(t(locale, 'weather.today', {
+    place: weather.place || DEFAULT_LOCATION.name,
+    desc: describeWeatherCode(weather.code, locale)
+  }));
+  lines.push(t(locale, 'weather.temperature', { current: weather.currentTemp, max: weather.max, min: weather.min }));
   // Add next‑6‑hour summary if we have temperature range.
   if (weather.nextMin != null && weather.nextMax != null) {
-    lines.push(`未來6小時氣溫範圍 ${weather.nextMin}°C～${weather.nextMax}°C。`);
+    lines.push(t(locale, 'weather.next', { min: weather.nextMin, max: weather.nextMax }));
   }
   // Add humidity and precipitation probability.
-  if (weather.avgPrecip != null) {
-    lines.push(`平均降雨機率 ${weather.avgPrecip}%` + (weather.avgHumidity != null ? `，平均濕度 ${weather.avgHumidity}%` : '') + '。');
-  } else if (weather.avgHumidity != null) {
-    lines.push(`平均濕度 ${weather.avgHumidity}%。`);
-  }
+  const moisture = [];
+  if (weather.avgPrecip != null) moisture.push(t(locale, 'weather.precip', { value: weather.avgPrecip }));
+  if (weather.avgHumidity != null) moisture.push(t(locale, 'weather.humidity', { value: weather.avgHumidity }));
+  if (moisture.length) lines.push(sentence(moisture));
   // Add UV index and particulate matter if available.
-  if (weather.uvIndex != null) {
-    lines.push(`紫外線指數 ${weather.uvIndex}` + (weather.pm25 != null ? `，PM2.5 ${weather.pm25}µg/m³` : '') + (weather.pm10 != null ? `，PM10 ${weather.pm10}µg/m³` : '') + '。');
-  } else if (weather.pm25 != null || weather.pm10 != null) {
-    const aq = [];
-    if (weather.pm25 != null) aq.push(`PM2.5 ${weather.pm25}µg/m³`);
-    if (weather.pm10 != null) aq.push(`PM10 ${weather.pm10}µg/m³`);
-    lines.push(aq.join('，') + '。');
-  }
+  const air = [];
+  if (weather.uvIndex != null) air.push(t(locale, 'weather.uv', { value: weather.uvIndex }));
+  if (weather.pm25 != null) air.push(t(locale, 'weather.pm25', { value: weather.pm25 }));
+  if (weather.pm10 != null) air.push(t(locale, 'weather.pm10', { value: weather.pm10 }));
+  if (air.length) lines.push(sentence(air));
   return lines.join('\n') + '\n' + reaction;
 }
 
-// Base descriptions for various user actions. Each entry may contain
-// multiple variations to allow additional combinations.
-const actionBases = {
-  morning: [
-    '悠悠揉揉眼睛伸了個懶腰，向你揮爪打招呼',
-    '悠悠從睡夢中醒來，眨著迷濛的眼睛對你點頭'
-  ],
-  night: [
-    '悠悠打了個呵欠，用尾巴裹住自己準備睡覺',
-    '悠悠窩成一團，慢慢閉上眼睛揮手道晚安'
-  ],
-  pat: [
-    '悠悠眯起眼睛享受你的撫摸，抱著尾巴發出滿足的聲音',
-    '悠悠把頭靠近你的手掌，輕輕蹭了蹭表示喜歡'
-  ],
-  tv: [
-    '悠悠盯著螢幕看得目不轉睛，偶爾歪頭表達好奇',
-    '悠悠坐在你旁邊看電視，時不時拍打尾巴示意你注意精彩畫面'
-  ],
-  // 呼喊名字時的反應
-  name: [
-    '悠悠聽到你叫牠名字，眨了眨眼，翻了個身抱著尾巴繼續打瞌睡',
-    '悠悠抬起頭，耳朵動了動，用小爪子拍拍自己的胸口像是在回答'
-  ],
-  // 給點心或餵食時的反應
-  feed: [
-    '悠悠聞到點心的味道，眼睛瞬間亮了起來，雙手抱住點心啃啃啃',
-    '悠悠伸出小爪子接過點心，尾巴開心地左右搖晃，嘴裡發出啾啾聲'
-  ],
-  // 擁抱或抱抱時的反應
-  hug: [
-    '悠悠被你抱在懷裡，乖乖地窩著，偶爾用小爪子拍拍你的手臂',
-    '悠悠用尾巴纏住你的手臂，眼睛眯起來，一臉滿足地蹭著你'
-  ],
-  // 睡覺或打瞌睡相關的反應
-  sleep: [
-    '悠悠打了個大哈欠，伸展四肢後蜷縮成團慢慢閉上眼睛',
-    '悠悠抱著自己的尾巴，眼皮越來越沉，最後發出均勻的呼吸聲睡著了'
-  ],
-  // 玩耍或逗弄時的反應
-  play: [
-    '悠悠興奮地在水面上撲騰，尾巴不時拍出水花，邀請你一起玩',
-    '悠悠翻來覆去，抓起小石頭拋向空中又用爪子接住，玩得不亦樂乎'
-  ],
-  // 吃東西相關的反應
-  eat: [
-    '悠悠咬著小魚干，臉頰鼓鼓的，吃得津津有味',
-    '悠悠拿起貝殼當盤子，慢慢品嚐著點心，偶爾抬眼看看你',
-    '悠悠抱著食物啃啃啃，尾巴滿足地擺動'
-  ],
-  // 喝水相關的反應
-  drink: [
-    '悠悠捧起清水，嗅了嗅後慢慢啜飲，發出滿足的嘟嚕聲',
-    '悠悠用爪子舀水喝，喝完打了個嗝，像是在說謝謝',
-    '悠悠一邊喝水一邊用尾巴拍出水花，玩的很開心'
-  ],
-  // 運動或跑步相關的反應
-  exercise: [
-    '悠悠在水面上快速划動，小爪子撥水像是在運動',
-    '悠悠跑來跑去，尾巴左右擺動，整個人活力十足',
-    '悠悠伸展四肢做運動，最後躺下喘口氣'
-  ],
-  // 跳舞相關的反應
-  dance: [
-    '悠悠隨著無形的音樂在水中扭動，像是在跳舞',
-    '悠悠站起來兩腳踩水，跟著節奏擺尾，很有節奏感',
-    '悠悠雙爪交叉拍掌，轉圈圈跳起舞蹈'
-  ],
-  // 唱歌相關的反應
-  sing: [
-    '悠悠張開嘴巴發出啾啾聲，像在唱歌',
-    '悠悠閉上眼睛輕哼著，尾巴隨節奏晃動',
-    '悠悠拍著胸口發出和諧的音節，好像在演奏'
-  ],
-  // 看書閱讀相關的反應
-  read: [
-    '悠悠盯著書本的字，看得很認真，偶爾翻動頁面',
-    '悠悠拿著一本小冊子，爪子指著字慢慢學習',
-    '悠悠靠著枕頭看書，眼神專注，尾巴微微搖擺'
-  ],
-  // 畫畫相關的反應
-  draw: [
-    '悠悠用爪子在沙地上畫出圖案，畫完欣賞自己的作品',
-    '悠悠抓起小石子當筆，在濕沙上畫畫，畫出可愛的心形',
-    '悠悠把海藻排列成圖案，像在創作藝術'
-  ],
-  // 打掃或清潔相關的反應
-  clean: [
-    '悠悠用尾巴掃拂著身邊的沙子，把小窩整理乾淨',
-    '悠悠拿起小刷子刷著自己的毛，打理得乾乾淨淨',
-    '悠悠把貝殼堆疊整齊，整理完拍拍手滿意地點頭'
-  ],
-  // 工作相關的反應
-  work: [
-    '悠悠戴上小帽子，專注地忙著整理自己的藏寶箱',
-    '悠悠仔細檢查每一顆貝殼，就像在專心工作',
-    '悠悠在水中來回搬運小石頭，嘴裡發出努力的啾啾聲'
-  ],
-  // 購物或逛街相關的反應
-  shop: [
-    '悠悠抱著一堆貝殼像是在購物，挑挑選選',
-    '悠悠看到漂亮的石頭興奮地拿起來，像是在逛街',
-    '悠悠拿著小袋子裝滿小零食，開心地回家'
-  ],
-  // 烹飪相關的反應
-  cook: [
-    '悠悠把海藻和貝殼放在一起攪拌，像在做料理',
-    '悠悠認真地用爪子捏著小魚干，做成漂亮的擺盤',
-    '悠悠一邊烹飪一邊偷吃材料，眼睛眯成一條線'
-  ],
-  // 學習或讀書相關的反應
-  study: [
-    '悠悠戴著眼鏡記筆記，努力學習新知識',
-    '悠悠把耳朵貼近書本，似乎想聽懂裡面的聲音',
-    '悠悠看著教科書皺眉，尾巴拍打水面彷彿在思考'
-  ],
-  // 冥想或靜坐相關的反應
-  meditate: [
-    '悠悠閉上眼睛，雙爪合十，在水中靜靜冥想',
-    '悠悠盤著尾巴，深呼吸放鬆，周圍氣氛平靜',
-    '悠悠坐在石頭上沉思，偶爾發出柔和的啾聲'
-  ],
-  // 上網或滑手機相關的反應
-  surf: [
-    '悠悠用爪子敲敲貝殼，就像在上網搜尋東西',
-    '悠悠盯著漂浮的海草，看得入神，像在刷社群',
-    '悠悠滑動小石頭，翻看貝殼，就像在滑手機'
-  ],
-  // 旅行或冒險相關的反應
-  travel: [
-    '悠悠背著小包包，踏出小窩像要去冒險',
-    '悠悠坐在漂浮的木頭上，眺望遠方像在旅行',
-    '悠悠揮手告別，跳入水中展開新的旅程'
-  ],
-  default: [
-    '悠悠歪著頭看看你，不太明白但還是可愛地揮了揮爪',
-    '悠悠滾了個圈圈，尾巴輕拍地面示意牠聽不懂'
-  ]
-};
-
-/**
- * Randomly select an element from an array.
- */
-function choice (arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
-}
-
-/**
- * Construct a reaction string by combining a base description with a random
- * emoticon and a random sound word. This yields a large number of unique
- * combinations (8 emoticons × 4 sounds × variations of bases).
- */
-function buildReaction (base) {
-  const emoji = choice(emoticons);
-  const sound = choice(sounds);
-  return `${base}${emoji}～${sound}`;
-}
-
-/**
- * Determine the category of a user interaction message. Simple keyword
- * matching is used here; if no keywords match, returns 'default'.
- */
-function getActionCategory (message) {
-  if (/(早安|早上好|morning)/i.test(message)) return 'morning';
-  if (/(晚安|good\s*night)/i.test(message)) return 'night';
-  if (/(摸|撫摸|摸摸|pat)/i.test(message)) return 'pat';
-  if (/(看電視|看电视|tv)/i.test(message)) return 'tv';
-  // Detect calling the otter's name or similar phrases
-  if (/(名字|叫悠悠|叫牠|叫你|呼喚)/i.test(message)) return 'name';
-  // Detect feeding or giving snacks/food
-  if (/(點心|餵|零食|食物|snack)/i.test(message)) return 'feed';
-  // Detect hugging or cuddling actions
-  if (/(抱抱|擁抱|抱你|抱緊)/i.test(message)) return 'hug';
-  // Detect sleep related actions
-  if (/(睡覺|打瞌睡|睡一下|sleep|nap)/i.test(message)) return 'sleep';
-  // Detect play or game actions
-  if (/(玩|遊戲|play|逗弄|耍|逗)/i.test(message)) return 'play';
-  // Detect eating actions
-  if (/(吃飯|吃東西|吃|用餐)/i.test(message)) return 'eat';
-  // Detect drinking actions
-  if (/(喝水|喝飲料|喝|飲)/i.test(message)) return 'drink';
-  // Detect exercise or running
-  if (/(運動|跑步|散步|健身|走路)/i.test(message)) return 'exercise';
-  // Detect dancing
-  if (/(跳舞|舞蹈|跳|舞)/i.test(message)) return 'dance';
-  // Detect singing
-  if (/(唱歌|唱|歌)/i.test(message)) return 'sing';
-  // Detect reading
-  if (/(看書|閱讀|讀書|書)/i.test(message)) return 'read';
-  // Detect drawing or painting
-  if (/(畫畫|畫圖|繪畫|畫)/i.test(message)) return 'draw';
-  // Detect cleaning or washing
-  if (/(打掃|清理|清潔|掃地|洗澡)/i.test(message)) return 'clean';
-  // Detect working
-  if (/(工作|上班|辦公)/i.test(message)) return 'work';
-  // Detect shopping
-  if (/(購物|買東西|逛街|shopping|買)/i.test(message)) return 'shop';
-  // Detect cooking
-  if (/(烹飪|煮飯|做菜|料理)/i.test(message)) return 'cook';
-  // Detect studying
-  if (/(學習|念書|study)/i.test(message)) return 'study';
-  // Detect meditation
-  if (/(冥想|靜坐|meditate)/i.test(message)) return 'meditate';
-  // Detect surfing/internet usage
-  if (/(上網|滑手機|用手機|internet|社群)/i.test(message)) return 'surf';
-  // Detect travelling
-  if (/(旅行|旅遊|出門|遠足|外出)/i.test(message)) return 'travel';
-  return 'default';
-}
-
 /**
  * Handle interactive messages that are not numeric adjustments or commands.
- * Generates a rich reaction from 悠悠 based on the detected action category.
+ * Smoking reports and corrections in plain words ("剛剛抽了兩支") are
+ * recorded first. Otherwise the user's character reacts according to the
+ * action keywords in its pack; caring actions raise its companion state
+ * first, so the reaction already shows the new mood.
  */
-function handleInteraction (event, client, message) {
-  const data = loadData();
-  autoResetIfNewDay(data);
-  const category = getActionCategory(message);
-  const base = choice(actionBases[category] || actionBases.default);
-  const reaction = buildReaction(base);
-  return client.replyMessage(event.replyToken, { type: 'text', text: reaction });
+async function handleInteraction (event, client, message) {
+  const userId = event.source.userId;
+  const settings = await loadSettings(userId);
+  const intent = parseIntent(message, { packSize: settings.packSize });
+  if (intent) return handleIntent(event, client, settings, intent);
+  const { pack, action, state } = await getStore().withLock(userId, async () => {
+    await loadUser(userId);
+    const settings = await loadSettings(userId);
+    const pack = getCharacter(settings);
+    const action = matchAction(pack, message, getLocale(settings));
+    const before = getCompanion(settings);
+    const state = applyInteraction(before, action && action.effect, getToday(settings));
+    if (state !== before) await getStore().updateSettings(userId, { companion: state });
+    return { pack, action, state };
+  });
+  const text = interactionReaction(pack, action, moodOf(state), getLocale(settings));
+  return client.replyMessage(event.replyToken, { type: 'text', text });
 }
 
 /* --------------------------------------------------------------------------
@@ -509,152 +470,1727 @@ function handleInteraction (event, client, message) {
  * ------------------------------------------------------------------------ */
 
 /**
- * Adjust today’s smoking count by the provided signed integer amount. Counts
- * never fall below zero. After adjustment, reply with a corresponding
- * reaction. For counts between 1 and 20, a predefined reaction is used; for
- * other counts, a generic comparison message is constructed.
- */
-function handleAdjust (event, client, amount) {
-  const data = loadData();
-  autoResetIfNewDay(data);
-  data.today += amount;
-  if (data.today < 0) data.today = 0;
-  saveData(data);
-  let response;
-  const n = data.today;
-  if (n >= 1 && n <= 20) {
-    response = countReactions[n - 1];
-  } else if (n === 0) {
-    response = '今天還沒抽菸，保持下去！悠悠雙手合掌為你打氣(๑˃̵ᴗ˂̵)و';
+ * Record a parsed logging intent, or ask first with quick replies when the
+ * message was ambiguous. A part of the day ("早上") sets the time of the
+ * recorded event; one that has not come yet today ("晚上" in the morning)
+ * is asked about, since it most likely means last night.
+ */
+async function handleIntent (event, client, settings, intent) {
+  const today = getToday(settings);
+  const unsure = intent.unsure.slice();
+  let day = addDays(today, intent.dayOffset);
+  let at = null;
+  if (intent.dayOffset === 0 && intent.period && intent.amount > 0) {
+    const now = new Date();
+    const local = getLocalParts(now, getTimeZone(settings));
+    const ahead = intent.period.minutes - (local.hour * 60 + local.minute);
+    if (ahead > 0) {
+      unsure.push('future');
+    } else {
+      at = new Date(now.getTime() + ahead * 60000);
+      // With a late day cutoff, early morning may still be yesterday's day.
+      day = getDayKey(at, getTimeZone(settings), getDayCutoff(settings));
+    }
+  }
+  if (!unsure.length) return recordIntent(event, client, { day, amount: intent.amount, at });
+  return client.replyMessage(event.replyToken, {
+    type: 'text',
+    text: describeIntentQuestion(intent, unsure, day, today),
+    quickReply: { items: intentQuickReplies(intent, unsure, day, today) }
+  });
+}
+
+// Words for a day relative to today.
+function describeDay (day, today) {
+  if (day === today) return '今天';
+  if (day === addDays(today, -1)) return '昨天';
+  if (day === addDays(today, -2)) return '前天';
+  return day;
+}
+
+// The question asked before recording an ambiguous intent.
+function describeIntentQuestion (intent, unsure, day, today) {
+  if (unsure.includes('future')) {
+    return `${intent.period.name}還沒到喔，是昨天${intent.period.name}抽的，還是剛剛抽的？`;
+  }
+  if (unsure.includes('direction')) return `要怎麼修正${describeDay(day, today)}的紀錄呢？`;
+  if (unsure.includes('amount')) {
+    return intent.amount > 0 ? '抽了幾支呢？' : `要從${describeDay(day, today)}的紀錄扣掉幾支？`;
+  }
+  const change = intent.amount > 0 ? `記 ${intent.amount} 支` : `扣掉 ${-intent.amount} 支`;
+  return `要在${describeDay(day, today)}${change}嗎？`;
+}
+
+// Quick replies answering describeIntentQuestion; each confirms one change.
+function intentQuickReplies (intent, unsure, day, today) {
+  const item = (label, d, amount, at) => postbackItem(label, encodePostback('intent', at
+    ? { day: d, amount, at: at.getTime() }
+    : { day: d, amount }));
+  const items = [];
+  if (unsure.includes('future')) {
+    items.push(item(`昨天${intent.period.name} ${intent.amount} 支`, addDays(today, -1), intent.amount));
+    items.push(item(`剛剛 ${intent.amount} 支`, today, intent.amount));
+  } else if (unsure.includes('direction')) {
+    items.push(item(`扣掉 ${intent.amount} 支`, day, -intent.amount));
+    items.push(item(`補記 ${intent.amount} 支`, day, intent.amount));
+  } else if (unsure.includes('amount')) {
+    const sign = Math.sign(intent.amount);
+    for (const n of [1, 2, 3]) items.push(item(`${sign > 0 ? '+' : '-'}${n}`, day, sign * n));
   } else {
-    response = `今天第 ${n} 支菸。`;
-    if (n < data.yesterday) {
-      response += `\n比昨天少了 ${data.yesterday - n} 支，不錯喔！`;
-    } else if (n === data.yesterday) {
-      response += `\n已經跟昨天一樣多了，要克制唷。`;
+    items.push(item(`對，${intent.amount > 0 ? '+' : ''}${intent.amount}`, day, intent.amount));
+  }
+  items.push(postbackItem('都不是', encodePostback('intent', { cancel: 1 })));
+  return items;
+}
+
+/**
+ * Apply a confirmed intent: today's changes go through handleAdjust (with
+ * the event time when a part of the day was given), earlier days become
+ * corrections.
+ */
+async function recordIntent (event, client, { day, amount, at }) {
+  const userId = event.source.userId;
+  const today = getToday(await loadSettings(userId));
+  if (day === today) return handleAdjust(event, client, amount, [], at);
+  const text = await applyCorrection(userId, { day, value: amount, relative: true });
+  return client.replyMessage(event.replyToken, { type: 'text', text });
+}
+
+/**
+ * Adjust today’s smoking count by the provided signed integer amount. Every
+ * adjustment is appended to the event log, together with any trigger tags,
+ * and counts never fall below zero. New tags are added to the user’s list of
+ * known triggers. `at` optionally backdates the event within today.
+ * Cigarettes over today's limit weigh on the character's companion state.
+ * After adjustment, reply with the user's character's reaction for the new
+ * count.
+ */
+async function handleAdjust (event, client, amount, tags = [], at = null) {
+  const userId = event.source.userId;
+  const { n, yesterday, target, unlocked, pack, mood, locale, alert } = await getStore().withLock(userId, async () => {
+    const user = await loadUser(userId);
+    const settings = await loadSettings(userId);
+    const today = getToday(settings);
+    if (tags.length && amount > 0) {
+      await getStore().updateSettings(userId, { triggers: mergeTriggers(settings.triggers, tags) });
+    }
+    const before = await getDailyTotal(userId, today);
+    const extra = Object.assign(tags.length ? { tags } : {}, at ? { ts: at.toISOString() } : {});
+    const total = await recordEvent(userId, settings, amount, 'adjust', extra);
+    const yesterday = await getDailyTotal(userId, addDays(today, -1));
+    const target = getTarget(settings.plan, today);
+    const limit = target != null ? target : yesterday || null;
+    const companion = getCompanion(settings);
+    const state = applySmoking(companion, before, total, limit);
+    if (state !== companion) await getStore().updateSettings(userId, { companion: state });
+    // Tell the buddy once a day, when the count first goes over the limit.
+    const crossed = limit != null && before <= limit && total > limit;
+    const alert = crossed && settings.buddy && settings.buddyAlerted !== today
+      ? { count: total, limit, usesTarget: target != null }
+      : null;
+    if (alert) await getStore().updateSettings(userId, { buddyAlerted: today });
+    // Today is still running, so only days up to yesterday count as complete.
+    const ctx = await loadAchievementContext(userId, user, addDays(today, -1));
+    const fresh = evaluate(user, ctx, today);
+    if (fresh.length) await getStore().saveUser(user);
+    return {
+      n: total,
+      yesterday,
+      target,
+      unlocked: fresh,
+      pack: getCharacter(settings),
+      mood: moodOf(state),
+      locale: getLocale(settings),
+      alert
+    };
+  });
+  let response = countReaction(pack, n, yesterday, mood, locale);
+  if (target != null) {
+    response += '\n' + describeAllowance(n, target, locale);
+  }
+  const messages = [{ type: 'text', text: response }].concat(rewardMessages(unlocked));
+  const result = await client.replyMessage(event.replyToken, messages.slice(0, 5));
+  if (alert) {
+    await alertBuddy(client, userId, alert).catch(err => console.error(`夥伴通知失敗：${userId}`, err));
+  }
+  return result;
+}
+
+// Describe how much of today's plan target is left.
+function describeAllowance (n, target, locale = DEFAULT_LOCALE) {
+  if (n < target) return t(locale, 'allowance.left', { target, count: target - n });
+  if (n === target) return t(locale, 'allowance.used', { target });
+  return t(locale, 'allowance.over', { target, count: n - target });
+}
+
+/**
+ * Apply a /提醒 subcommand and return the reply text. Changes are saved to
+ * the user's settings and their scheduled jobs are re-registered.
+ */
+async function changeReminders (client, userId, settings, args) {
+  let patch;
+  let done;
+  const [sub, ...rest] = args.trim().split(/\s+/);
+  const value = rest.join(' ');
+  if (sub === '刪除') {
+    const reminders = settings.reminders || [];
+    const index = parseInt(value, 10) - 1;
+    if (!(index >= 0 && index < reminders.length)) {
+      return `找不到第 ${value} 個提醒，輸入 /提醒 看看目前的清單。`;
+    }
+    patch = { reminders: reminders.filter((r, i) => i !== index) };
+    done = `已刪除 ${reminders[index].time} 的提醒。`;
+  } else if (sub === '天氣') {
+    if (value === '關閉') {
+      patch = { weatherTime: 'off' };
+      done = '之後不會再推送天氣預報了，想看的時候輸入 /天氣 就好。';
+    } else {
+      const time = normaliseTime(value);
+      if (!time) return '請輸入「/提醒 天氣 07:00」或「/提醒 天氣 關閉」。';
+      patch = { weatherTime: time };
+      done = `天氣預報改在每天 ${time} 推送。`;
+    }
+  } else if (sub === '勿擾') {
+    if (value === '關閉') {
+      patch = { quietHours: null };
+      done = '已取消勿擾時段。';
     } else {
-      response += `\n超過昨天了，現在是 ${n} 支。還想拿獎勵嗎？`;
+      const { quietHours, error } = parseQuietHours(value);
+      if (error) return error;
+      patch = { quietHours };
+      done = `${quietHours.from}–${quietHours.to} 之間不會推送提醒和天氣預報（日結照常送出）。`;
+    }
+  } else {
+    const reminders = settings.reminders || [];
+    if (reminders.length >= MAX_REMINDERS) {
+      return `最多只能設定 ${MAX_REMINDERS} 個提醒，先用「/提醒 刪除 1」刪掉一些吧。`;
+    }
+    const { reminder, error } = parseReminder(args);
+    if (error) return error;
+    reminder.id = nextReminderId(reminders);
+    patch = { reminders: reminders.concat(reminder) };
+    done = `好的，${reminder.time} ${getCharacter(settings).name}會提醒你${reminder.text ? `：${reminder.text}` : '記錄今天的支數'}。`;
+    if (isQuietTime(settings.quietHours, parseTime(reminder.time))) {
+      done += '\n注意：這個時間在勿擾時段內，提醒不會送出。';
     }
-    response += '\n悠悠歪著頭看看你，尾巴在身旁劃圈，似乎在思考(｡･ω･｡)?';
   }
-  return client.replyMessage(event.replyToken, { type: 'text', text: response });
+  await getStore().updateSettings(userId, patch);
+  await scheduleUser(client, userId);
+  return done;
 }
 
 /**
  * Handle slash commands starting with '/'. Recognised commands include:
- *   /查詢 or /查詢今日 – report today/yesterday counts and streak.
+ *   /查詢 or /查詢今日 – show the dashboard: today/yesterday/target,
+ *     streak and the last seven days.
  *   /查詢昨日 – report yesterday’s count only.
+ *   /歷史 [7|30] – report daily totals, averages and best/worst days.
+ *   /分析 – break the last 14 days down by trigger, hour and weekday.
  *   /重設 – reset today’s count to zero.
+ *   /時區 [IANA 時區] – show or change the user’s timezone.
+ *   /換日 [HH:MM] – show or change when the user’s day ends.
+ *   /目標 [起始支數 戒菸日 線性|階梯 | 取消] – show, set or cancel a taper plan.
+ *   /修正 [日期 支數] – set or adjust a past day’s total, or list recent edits.
+ *   /成就 – list unlocked badges and progress toward locked ones.
+ *   /菸價 [每包價格 每包支數] – show or set the pack price used by /省錢.
+ *   /省錢 – cigarettes avoided and money saved against the baseline.
+ *   /健康 – time since the last cigarette and health recovery milestones.
+ *   /想抽 – start a craving session with an exercise and timed check-ins.
+ *   /天氣 [地點] or /weather – weather report for the user's or the given location.
+ *   /地點 [縣市 | 緯度,經度 | 取消] – show or set the default weather location.
+ *   /角色 [名稱] – list the characters or switch to another one.
+ *   /悠悠, /狀態 or /<角色名稱> – show the character's mood, affection and energy.
+ *   /登入 [登出] – issue a dashboard link and API token, or revoke it.
+ *   /匯出 [csv|json] – short-lived download links for the user's history.
+ *   /匯入 [rows] – preview importing "date,count" rows; a quick reply applies it.
+ *   /空氣 [PM2.5|紫外線 門檻 | 開啟 | 關閉] – show or change air-quality alerts.
+ *   /夥伴 [邀請 | 邀請碼 | 加油 | 分享 支數|狀態 | 暫停 | 恢復 | 解除] – pair
+ *     with an accountability buddy and manage the pairing.
+ *   /加入, /排行, /退出, /群組日結 – group commands (see handleGroupMessage);
+ *     in a one-to-one chat they only explain where to use them.
+ *   /提醒 [...] – list, add or remove reminders, move or switch off the
+ *     weather push and set quiet hours.
+ *   /language [zh-TW|en|ja] – show or set the user's language.
  *   /說明 – provide help text.
+ * Commands may also be typed in the user's language (e.g. /query for
+ * /查詢); see the catalogs' `commands`.
  */
 async function handleCommand (msg, event, client) {
-  const data = loadData();
-  autoResetIfNewDay(data);
-  // Weather inquiry command: fetch Taipei weather and reply with a report.
-  if (msg === '/天氣' || msg.toLowerCase() === '/weather') {
+  const userId = event.source.userId;
+  const user = await loadUser(userId);
+  const settings = await loadSettings(userId);
+  const locale = getLocale(settings);
+  // Commands typed in the user's language map onto the canonical ones.
+  msg = resolveCommand(msg, locale);
+  const yesterday = await getDailyTotal(userId, addDays(getToday(settings), -1));
+  // Weather inquiry: /天氣 uses the user's location, /天氣 高雄 or /天氣 22.6,120.3 another one.
+  const weatherMatch = msg.match(/^\/(?:天氣|weather)(?:\s+(.+))?$/i);
+  if (weatherMatch) {
+    let location = getLocation(settings);
+    if (weatherMatch[1]) {
+      location = resolveLocation(weatherMatch[1]);
+      if (!location) {
+        return client.replyMessage(event.replyToken, { type: 'text', text: `找不到「${weatherMatch[1]}」，請輸入台灣的縣市名稱（例如 高雄、花蓮縣）或座標（例如 22.63,120.30）。` });
+      }
+    }
     try {
-      const weather = await getTaipeiWeather();
-      const report = composeWeatherReport(weather);
+      const weather = await getWeather(location);
+      const report = composeWeatherReport(weather, getCharacter(settings), moodOf(getCompanion(settings)), locale);
       return client.replyMessage(event.replyToken, { type: 'text', text: report });
     } catch (err) {
       return client.replyMessage(event.replyToken, { type: 'text', text: '取得天氣資料失敗。' });
     }
   }
   if (msg === '/查詢' || msg === '/查詢今日') {
+    const dashboard = await getDashboardData(userId, settings, user.streak, t(locale, 'dashboard.title'));
+    return client.replyMessage(event.replyToken, buildDashboard(dashboard, locale));
+  }
+  if (msg === '/查詢昨日') {
     return client.replyMessage(event.replyToken, {
       type: 'text',
-      text: `今日已抽 ${data.today} 支，昨日 ${data.yesterday} 支，連續減量天數：${data.streak} 天。`
+      text: `昨日抽了 ${yesterday} 支。`
     });
   }
-  if (msg === '/查詢昨日') {
+  // History report: /歷史, /歷史 7 or /歷史 30
+  const historyMatch = msg.match(/^\/歷史(?:\s+(7|30))?$/);
+  if (historyMatch) {
+    const days = historyMatch[1] ? parseInt(historyMatch[1], 10) : 7;
     return client.replyMessage(event.replyToken, {
       type: 'text',
-      text: `昨日抽了 ${data.yesterday} 支。`
+      text: await composeHistoryReport(userId, settings, days)
     });
   }
+  // Trigger analysis over the last 14 days.
+  if (msg === '/分析') {
+    const days = 14;
+    const events = await getStore().listEvents(userId, {
+      from: addDays(getToday(settings), -(days - 1)),
+      to: getToday(settings)
+    });
+    const report = composeAnalysisReport(analyseEvents(events, getTimeZone(settings)), days);
+    const known = settings.triggers && settings.triggers.length
+      ? `\n\n你記錄過的原因：${settings.triggers.join('、')}`
+      : '';
+    return client.replyMessage(event.replyToken, { type: 'text', text: report + known });
+  }
   if (msg === '/重設') {
-    data.today = 0;
-    saveData(data);
+    // Reset relative to the latest total, not the one read before the lock.
+    await getStore().withLock(userId, async () => {
+      const current = await getDailyTotal(userId, getToday(settings));
+      await recordEvent(userId, settings, -current, 'reset');
+    });
     return client.replyMessage(event.replyToken, { type: 'text', text: '今日紀錄已重設為 0。' });
   }
+  // Taper plan: /目標 shows it, /目標 20 2026-12-31 階梯 sets it, /目標 取消 removes it.
+  const planMatch = msg.match(/^\/目標(?:\s+(.+))?$/);
+  if (planMatch) {
+    const todayKey = getToday(settings);
+    if (!planMatch[1]) {
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: settings.plan
+          ? describePlan(settings.plan, todayKey)
+          : '還沒有減量計畫。輸入「/目標 20 2026-12-31 線性」設定起始支數、戒菸日與減量曲線（線性或階梯）。'
+      });
+    }
+    if (planMatch[1].trim() === '取消') {
+      await getStore().updateSettings(userId, { plan: null });
+      return client.replyMessage(event.replyToken, { type: 'text', text: '減量計畫已取消，之後會改回跟昨天比較。' });
+    }
+    const { plan, error } = parsePlan(planMatch[1], todayKey);
+    if (error) {
+      return client.replyMessage(event.replyToken, { type: 'text', text: error });
+    }
+    await getStore().updateSettings(userId, { plan });
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: `減量計畫設定完成！\n${describePlan(plan, todayKey)}`
+    });
+  }
+  // Achievements: unlocked badges with dates and progress toward the rest.
+  if (msg === '/成就') {
+    const todayKey = getToday(settings);
+    const ctx = await loadAchievementContext(userId, user, addDays(todayKey, -1));
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: composeAchievementReport(user, ctx, todayKey)
+    });
+  }
+  if (msg === '/想抽') {
+    return startCraving(event, client);
+  }
+  // Default weather location: /地點 shows it, /地點 高雄 or /地點 22.6,120.3 sets it.
+  const locationMatch = msg.match(/^\/地點(?:\s+(.+))?$/);
+  if (locationMatch) {
+    if (!locationMatch[1]) {
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: `目前的天氣地點：${getLocation(settings).name}。輸入「/地點 高雄」或「/地點 22.63,120.30」可以更改。`
+      });
+    }
+    if (locationMatch[1].trim() === '取消') {
+      await getStore().updateSettings(userId, { location: null });
+      return client.replyMessage(event.replyToken, { type: 'text', text: `天氣地點已改回預設的${DEFAULT_LOCATION.name}。` });
+    }
+    const location = resolveLocation(locationMatch[1]);
+    if (!location) {
+      return client.replyMessage(event.replyToken, { type: 'text', text: `找不到「${locationMatch[1]}」，請輸入台灣的縣市名稱（例如 高雄、花蓮縣）或座標（例如 22.63,120.30）。` });
+    }
+    await getStore().updateSettings(userId, { location });
+    return client.replyMessage(event.replyToken, { type: 'text', text: `好的，之後的天氣預報會用${location.name}。` });
+  }
+  // Characters: /角色 lists the content packs, /角色 阿橘 switches to one.
+  const characterMatch = msg.match(/^\/角色(?:\s+(.+))?$/);
+  if (characterMatch) {
+    const current = getCharacter(settings);
+    if (!characterMatch[1]) {
+      const lines = ['可以選擇的角色：'];
+      for (const pack of listCharacters()) {
+        lines.push(`${pack.id === current.id ? '👉' : '・'} ${pack.name}：${pack.description || ''}`);
+      }
+      lines.push('', '輸入「/角色 名稱」換角色，例如「/角色 阿橘」。');
+      return client.replyMessage(event.replyToken, { type: 'text', text: lines.join('\n') });
+    }
+    const pack = findCharacter(characterMatch[1]);
+    if (!pack) {
+      return client.replyMessage(event.replyToken, { type: 'text', text: `沒有叫「${characterMatch[1]}」的角色，輸入 /角色 看看有哪些。` });
+    }
+    await getStore().updateSettings(userId, { character: pack.id });
+    return client.replyMessage(event.replyToken, { type: 'text', text: pack.greeting });
+  }
+  // Companion status: /悠悠 (or /狀態, or the current character's name).
+  if (msg === '/悠悠' || msg === '/狀態' || msg === `/${getCharacter(settings).name}`) {
+    const pack = getCharacter(settings);
+    const state = getCompanion(settings);
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: describeCompanion(pack, state, moodLine(pack, moodOf(state)))
+    });
+  }
+  // Dashboard and API access: /登入 issues a token, /登入 登出 revokes it.
+  const loginMatch = msg.match(/^\/登入(?:\s+(.+))?$/);
+  if (loginMatch) {
+    if (loginMatch[1] && loginMatch[1].trim() === '登出') {
+      const revoked = await revokeTokens(userId);
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: revoked ? '已登出，之前的連結和 token 都失效了。' : '目前沒有登入中的連結。'
+      });
+    }
+    const { token } = await issueToken(userId);
+    // The link carries a single-use code, not the token itself.
+    const link = publicLink(`/dashboard/login?code=${createLoginCode(token)}`);
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: [
+        `網頁儀表板（連結 ${LOGIN_CODE_MINUTES} 分鐘內有效、只能用一次，登入後 ${TOKEN_DAYS} 天內不用再登入；請不要分享給別人）：`,
+        process.env.PUBLIC_URL ? link : `${link}\n${PUBLIC_URL_HINT}`,
+        '',
+        `API 也可以用同一組 token：Authorization: Bearer ${token}`,
+        '再輸入一次 /登入 會換一組新的，輸入「/登入 登出」讓它失效。'
+      ].join('\n')
+    });
+  }
+  // Export: /匯出 sends short-lived download links, /匯出 csv or /匯出 json only some.
+  const exportMatch = msg.match(/^\/匯出(?:\s+(csv|json))?$/i);
+  if (exportMatch) {
+    const format = exportMatch[1] && exportMatch[1].toLowerCase();
+    const lines = [`下載連結（${DOWNLOAD_MINUTES} 分鐘內有效）：`];
+    if (format !== 'json') {
+      lines.push(`每日總數 CSV：${publicLink(createDownload(userId, 'daily'))}`);
+      lines.push(`事件紀錄 CSV：${publicLink(createDownload(userId, 'events'))}`);
+    }
+    if (format !== 'csv') lines.push(`完整 JSON：${publicLink(createDownload(userId, 'json'))}`);
+    if (!process.env.PUBLIC_URL) lines.push(PUBLIC_URL_HINT);
+    lines.push('', '每日總數的 CSV 可以直接用 /匯入 匯回來。');
+    return client.replyMessage(event.replyToken, { type: 'text', text: lines.join('\n') });
+  }
+  // Import: /匯入 followed by "date,count" lines previews them; a postback confirms.
+  const importMatch = msg.match(/^\/匯入(?:\s+([\s\S]+))?$/);
+  if (importMatch) {
+    if (!importMatch[1]) {
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: '把以前的紀錄貼在「/匯入」後面（換行後一天一行），或直接傳 CSV 檔給我，例如：\n/匯入\n2026-01-01,18\n2026-01-02,15\n\n我會先給你預覽，確認後才會寫入。'
+      });
+    }
+    return client.replyMessage(event.replyToken, await previewImport(userId, importMatch[1]));
+  }
+  // Air-quality alerts: /空氣 shows the thresholds, /空氣 PM2.5 50 changes one.
+  const airMatch = msg.match(/^\/空氣(?:\s+(.+))?$/);
+  if (airMatch) {
+    const arg = airMatch[1] && airMatch[1].trim();
+    if (!arg) {
+      return client.replyMessage(event.replyToken, { type: 'text', text: describeAirAlert(getAirAlert(settings)) });
+    }
+    let patch;
+    if (arg === '開啟' || arg === '關閉') {
+      patch = { enabled: arg === '開啟' };
+    } else {
+      const { key, value, error } = parseThreshold(arg);
+      if (error) return client.replyMessage(event.replyToken, { type: 'text', text: error });
+      patch = { [key]: value };
+    }
+    const updated = await getStore().updateSettings(userId, {
+      airAlert: Object.assign({}, settings.airAlert, patch)
+    });
+    return client.replyMessage(event.replyToken, { type: 'text', text: describeAirAlert(getAirAlert(updated)) });
+  }
+  // Reminders: /提醒 lists them; see changeReminders for the subcommands.
+  const reminderMatch = msg.match(/^\/提醒(?:\s+(.+))?$/);
+  if (reminderMatch) {
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: reminderMatch[1]
+        ? await changeReminders(client, userId, settings, reminderMatch[1])
+        : describeReminders(settings)
+    });
+  }
+  // Accountability buddy: /夥伴 shows the pairing; see changeBuddy for the subcommands.
+  const buddyMatch = msg.match(/^\/夥伴(?:\s+(.+))?$/);
+  if (buddyMatch) {
+    const reply = buddyMatch[1]
+      ? await changeBuddy(client, userId, settings, buddyMatch[1])
+      : describeBuddy(settings.buddy);
+    return client.replyMessage(event.replyToken, typeof reply === 'string' ? { type: 'text', text: reply } : reply);
+  }
+  // Pack price: /菸價 shows it, /菸價 125 or /菸價 125 20 sets price and pack size.
+  const priceMatch = msg.match(/^\/菸價(?:\s+(.+))?$/);
+  if (priceMatch) {
+    if (!priceMatch[1]) {
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: settings.packPrice
+          ? `目前設定：一包 ${settings.packPrice} 元、${settings.packSize} 支。`
+          : '還沒設定菸價。輸入「/菸價 125」或「/菸價 125 20」設定每包價格與支數。'
+      });
+    }
+    const price = parsePrice(priceMatch[1]);
+    if (price.error) {
+      return client.replyMessage(event.replyToken, { type: 'text', text: price.error });
+    }
+    await getStore().updateSettings(userId, price);
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: `好的，一包 ${price.packPrice} 元、${price.packSize} 支。輸入 /省錢 看看省下多少吧！`
+    });
+  }
+  // Money saved against the baseline over the last week, month and all time.
+  if (msg === '/省錢') {
+    const totals = await getStore().getDailyTotals(userId);
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: composeSavingsReport(settings, totals, addDays(getToday(settings), -1))
+    });
+  }
+  // Time since the last cigarette and the recovery milestones around it.
+  if (msg === '/健康') {
+    const last = findLastCigarette(await getStore().listEvents(userId));
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: composeHealthReport(last, getTimeZone(settings), getToday(settings))
+    });
+  }
+  // Corrections: /修正 lists the audit trail, /修正 昨天 5 or /修正 2026-10-01 +2 edits a day.
+  const correctionMatch = msg.match(/^\/修正(?:\s+(.+))?$/);
+  if (correctionMatch) {
+    if (!correctionMatch[1]) {
+      const events = await getStore().listEvents(userId);
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: describeAuditTrail(events, getTimeZone(settings)) +
+          '\n\n輸入「/修正 昨天 5」設定某天的總數，或「/修正 2026-10-01 +2」增減。'
+      });
+    }
+    const todayKey = getToday(settings);
+    const correction = parseCorrection(correctionMatch[1], todayKey);
+    if (correction.error) {
+      return client.replyMessage(event.replyToken, { type: 'text', text: correction.error });
+    }
+    if (needsConfirmation(correction.day, todayKey)) {
+      const change = correction.relative
+        ? `${correction.value > 0 ? '+' : ''}${correction.value} 支`
+        : `改成 ${correction.value} 支`;
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: `${correction.day} 已經是比較久以前的紀錄了，確定要${change}嗎？`,
+        quickReply: {
+          items: [
+            postbackItem('確定修正', encodePostback('correction', {
+              day: correction.day,
+              value: correction.value,
+              relative: correction.relative ? 1 : 0
+            }), `確定修正 ${correction.day}`),
+            postbackItem('取消', encodePostback('correction', { cancel: 1 }))
+          ]
+        }
+      });
+    }
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: await applyCorrection(userId, correction)
+    });
+  }
+  // Timezone setting: /時區 shows the current zone, /時區 Asia/Tokyo changes it.
+  const tzMatch = msg.match(/^\/時區(?:\s+(\S+))?$/);
+  if (tzMatch) {
+    if (!tzMatch[1]) {
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: `目前時區：${getTimeZone(settings)}。輸入「/時區 Asia/Tokyo」這樣的格式可以更改。`
+      });
+    }
+    if (!isValidTimeZone(tzMatch[1])) {
+      return client.replyMessage(event.replyToken, { type: 'text', text: `找不到時區「${tzMatch[1]}」，請使用像 Asia/Taipei 這樣的名稱。` });
+    }
+    const updated = await getStore().updateSettings(userId, { timezone: tzMatch[1] });
+    await scheduleUser(client, userId);
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: `時區已設定為 ${updated.timezone}，現在是 ${getToday(updated)}。`
+    });
+  }
+  // Day cutoff setting: /換日 04:00 makes the day end at 04:00 local time.
+  const cutoffMatch = msg.match(/^\/換日(?:\s+(\S+))?$/);
+  if (cutoffMatch) {
+    if (!cutoffMatch[1]) {
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: `目前每天在 ${getDayCutoff(settings)} 換日。輸入「/換日 04:00」可以讓深夜的菸算在前一天。`
+      });
+    }
+    const minutes = parseCutoff(cutoffMatch[1]);
+    if (minutes == null) {
+      return client.replyMessage(event.replyToken, { type: 'text', text: '換日時間請輸入 00:00 到 12:00 之間，例如「/換日 04:00」。' });
+    }
+    const updated = await getStore().updateSettings(userId, { dayCutoff: formatMinutes(minutes) });
+    await scheduleUser(client, userId);
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: `好的，之後每天在 ${updated.dayCutoff} 換日，日結會在換日前 10 分鐘送出。`
+    });
+  }
+  if (GROUP_COMMAND.test(msg)) {
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: '這個指令要在 LINE 群組裡用：把我邀請進群組，大家輸入 /加入 就能一起減菸、看 /排行。'
+    });
+  }
+  // Language: /language (or /語言, /言語) shows it, /language en switches.
+  const languageMatch = msg.match(/^\/(?:language|語言|言語)(?:\s+(.+))?$/i);
+  if (languageMatch) {
+    const options = LOCALES.map(l => `${l}（${t(l, 'language.name')}）`).join(' / ');
+    if (!languageMatch[1]) {
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: t(locale, 'language.current', { name: t(locale, 'language.name'), options })
+      });
+    }
+    const chosen = findLocale(languageMatch[1]);
+    if (!chosen) {
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: t(locale, 'language.unknown', { text: languageMatch[1].trim(), options })
+      });
+    }
+    await getStore().updateSettings(userId, { locale: chosen === DEFAULT_LOCALE ? null : chosen });
+    return client.replyMessage(event.replyToken, { type: 'text', text: t(chosen, 'language.changed') });
+  }
   if (msg === '/說明') {
-    const help = [
-      '可用指令：',
-      '+1 或 +n：增加今日抽菸數',
-      '-1 或 -n：減少今日抽菸數',
-      '/查詢 或 /查詢今日：查看今日與昨日抽菸數以及連續減量天數',
-      '/查詢昨日：查看昨日抽菸數',
-      '/重設：重設今日計數為 0',
-      '/說明：顯示這段說明',
-      '/天氣 或 /weather：查詢台北市今日氣象與未來 6 小時概況（溫度、降雨、濕度、紫外線、空氣品質）',
-      '其他訊息將視為對悠悠的互動，牠會以可愛的動作回應喔'
-    ].join('\n');
-    return client.replyMessage(event.replyToken, { type: 'text', text: help });
+    return client.replyMessage(event.replyToken, { type: 'text', text: list(locale, 'help').join('\n') });
   }
-  return client.replyMessage(event.replyToken, { type: 'text', text: '無效指令。' });
+  return client.replyMessage(event.replyToken, { type: 'text', text: t(locale, 'command.unknown') });
+}
+
+// Quick reply button that sends a postback and echoes `displayText`.
+function postbackItem (label, data, displayText = label) {
+  return { type: 'action', action: { type: 'postback', label, data, displayText } };
+}
+
+// Steps of the onboarding flow started by a follow event.
+const onboardingSteps = {
+  plan: '先想想你現在一天大約抽幾支，再決定想在哪天戒掉。\n例如輸入「/目標 20 2026-12-31 線性」，悠悠就會每天幫你算目標支數。',
+  log: '每抽一支就傳「+1」給悠悠，也可以加上原因，例如「+1 咖啡」。\n下方選單的按鈕也可以直接記錄喔。',
+  timezone: '悠悠預設用台北時間換日。如果你住在其他地方，輸入「/時區 Asia/Tokyo」這樣的格式；習慣熬夜的話可以用「/換日 04:00」。'
+};
+
+// Quick replies offering the onboarding steps.
+function onboardingQuickReply () {
+  return {
+    items: [
+      postbackItem('設定減量目標', encodePostback('onboard', { step: 'plan' })),
+      postbackItem('怎麼記錄', encodePostback('onboard', { step: 'log' })),
+      postbackItem('時區與換日', encodePostback('onboard', { step: 'timezone' })),
+      postbackItem('所有指令', encodePostback('command', { text: '/說明' }), '/說明')
+    ]
+  };
 }
 
 /**
- * Reset today’s count at scheduled time; move today to yesterday and zero it.
+ * Handle a follow event: register (or reactivate) the user, schedule their
+ * pushes and start the onboarding flow.
  */
-function resetDaily () {
-  const data = loadData();
-  const todayStr = getToday();
-  // Only perform a reset if the stored date differs from the current date
-  if (data.date !== todayStr) {
-    data.yesterday = data.today;
-    data.today = 0;
-    data.date = todayStr;
-    saveData(data);
-    console.log('每日重置完成');
-  } else {
-    // If called when no date change has occurred, do nothing
-    console.log('重置跳過：日期相同');
+async function handleFollow (event, client) {
+  const userId = event.source.userId;
+  await getStore().withLock(userId, async () => {
+    const user = await loadUser(userId);
+    if (user.active === false) {
+      user.active = true;
+      await getStore().saveUser(user);
+    }
+  });
+  await scheduleUser(client, userId);
+  return client.replyMessage(event.replyToken, [
+    {
+      type: 'text',
+      text: '嗨～我是悠悠！我會陪你一起慢慢減菸，每天幫你記錄、提醒，表現好還有獎勵喔(˶˚ᴗ˚˶)'
+    },
+    {
+      type: 'text',
+      text: '想先從哪裡開始呢？',
+      quickReply: onboardingQuickReply()
+    }
+  ]);
+}
+
+/**
+ * Handle an unfollow event: keep the user's history but mark them inactive
+ * and stop their scheduled pushes.
+ */
+async function handleUnfollow (event) {
+  const userId = event.source.userId;
+  cancelUserJobs(userId);
+  await getStore().withLock(userId, async () => {
+    const user = await getStore().getUser(userId);
+    if (!user) return;
+    user.active = false;
+    await getStore().saveUser(user);
+  });
+  console.log(`使用者已封鎖或刪除好友，停止推播：${userId}`);
+  return null;
+}
+
+/**
+ * Apply a parsed correction to a day's total. The change is logged as a
+ * correction event recording the previous and new totals; if the day was
+ * already summarised, the streak and reward stages from that day on are
+ * re-judged. Resolves to a confirmation message.
+ */
+async function applyCorrection (userId, { day, value, relative }) {
+  return getStore().withLock(userId, async () => {
+    const user = await loadUser(userId);
+    const settings = await loadSettings(userId);
+    const previous = await getDailyTotal(userId, day);
+    const total = resolveTotal(previous, { value, relative });
+    if (total === previous) {
+      return `${day} 本來就是 ${previous} 支，不需要修正。`;
+    }
+    await getStore().addEvent(userId, {
+      ts: new Date().toISOString(),
+      day,
+      amount: total - previous,
+      type: 'correction',
+      previous,
+      value: total
+    });
+    const lines = [`已將 ${day} 從 ${previous} 支修正為 ${total} 支。`];
+    return lines.concat(await recalculateFrom(userId, user, settings, day)).join('\n');
+  });
+}
+
+/**
+ * After past totals changed from `day` on, re-judge the streak and the
+ * badges and save the user. Must run inside the user's lock. `backfill`
+ * also judges days before the first summary (imported history). Resolves
+ * to lines describing what changed.
+ */
+async function recalculateFrom (userId, user, settings, day, { backfill = false } = {}) {
+  const lines = [];
+  const totals = await getStore().getDailyTotals(userId, { from: addDays(day, -1) });
+  const until = addDays(getToday(settings), -1);
+  const { before, after, changedDays } = rejudgeFrom(user, totals, settings.plan, day, { backfill, until });
+  let badges = { revoked: [], fresh: [] };
+  if (user.lastSummary && day <= user.lastSummary) {
+    const ctx = await loadAchievementContext(userId, user, user.lastSummary);
+    badges = reevaluateFrom(user, ctx, day, user.lastSummary);
+  }
+  await getStore().saveUser(user);
+  if (changedDays.length) {
+    const shown = changedDays.slice(0, 5).join('、');
+    const more = changedDays.length > 5 ? ` 等 ${changedDays.length} 天` : '';
+    lines.push(`${shown}${more} 的達標結果已重新計算。`);
+  }
+  if (before !== after) {
+    lines.push(`連續達標天數：${before} → ${after} 天。`);
+  }
+  if (badges.revoked.length) {
+    lines.push(`已收回成就：${badges.revoked.map(r => r.name).join('、')}`);
   }
+  if (badges.fresh.length) {
+    lines.push(`🏅 解鎖成就：${badges.fresh.map(r => r.name).join('、')}`);
+  }
+  return lines;
+}
+
+/* --------------------------------------------------------------------------
+ * Export and import
+ * ------------------------------------------------------------------------ */
+
+// A link to a path of the Express app, using PUBLIC_URL when it is set.
+function publicLink (path) {
+  return `${(process.env.PUBLIC_URL || '').replace(/\/+$/, '')}${path}`;
 }
 
+// Shown under relative links when PUBLIC_URL is not set.
+const PUBLIC_URL_HINT = '（請接在機器人的網址後面）';
+
+// An import preview is kept this long waiting for confirmation.
+const IMPORT_PENDING_MINUTES = 30;
 
 /**
- * Summarize the day’s results. If today’s count is less than yesterday’s,
- * increment the streak and award a prize (capped by rewards array length).
- * Sends messages via pushMessage including images and text where applicable.
+ * Validate pasted or uploaded "date,count" rows and build the dry-run
+ * preview message. Valid rows are kept in the user's settings as
+ * pendingImport until a quick reply applies or cancels them.
  */
-async function summarizeDay (client) {
-  const data = loadData();
-  autoResetIfNewDay(data);
-  let reward = null;
-  if (data.today < data.yesterday) {
-    data.streak += 1;
-    const stage = Math.min(data.streak, rewards.length);
-    reward = rewards[stage - 1];
-  } else {
-    data.streak = 0;
+async function previewImport (userId, text) {
+  const settings = await loadSettings(userId);
+  const { rows, errors } = parseDailyCsv(text, getToday(settings));
+  if (errors.length) return { type: 'text', text: describeImportErrors(errors) };
+  const plan = planImport(rows, await getStore().getDailyTotals(userId));
+  const item = (label, mode) => postbackItem(label, encodePostback('import', { mode }));
+  const items = [];
+  if (plan.added.length) items.push(item(plan.conflicts.length ? '保留現有' : '確定匯入', 'keep'));
+  if (plan.conflicts.length) items.push(item('覆蓋', 'overwrite'));
+  const preview = describeImportPreview(rows, plan);
+  if (!items.length) return { type: 'text', text: `${preview}\n\n沒有需要匯入的資料。` };
+  await getStore().updateSettings(userId, {
+    pendingImport: { createdAt: new Date().toISOString(), rows: rows.map(r => [r.day, r.count]) }
+  });
+  items.push(item('取消', 'cancel'));
+  return { type: 'text', text: preview, quickReply: { items } };
+}
+
+/**
+ * Apply the pending import: add an "import" event for every changed day
+ * (only days without records, or also conflicting ones when `overwrite`),
+ * then re-judge the streak and badges from the earliest imported day.
+ * Resolves to the reply text.
+ */
+async function applyImport (userId, overwrite) {
+  return getStore().withLock(userId, async () => {
+    const user = await loadUser(userId);
+    const settings = await loadSettings(userId);
+    const pending = settings.pendingImport;
+    const expired = pending && Date.now() - Date.parse(pending.createdAt) > IMPORT_PENDING_MINUTES * 60000;
+    if (!pending || expired) {
+      if (pending) await getStore().updateSettings(userId, { pendingImport: null });
+      return '這份匯入預覽已經過期了，請重新輸入 /匯入。';
+    }
+    await getStore().updateSettings(userId, { pendingImport: null });
+    const rows = pending.rows.map(([day, count]) => ({ day, count }));
+    // Compare again: records may have changed since the preview.
+    const changes = importChanges(planImport(rows, await getStore().getDailyTotals(userId)), overwrite);
+    if (!changes.length) return '沒有需要匯入的資料，紀錄維持不變。';
+    const ts = new Date().toISOString();
+    for (const c of changes) {
+      await getStore().addEvent(userId, {
+        ts,
+        day: c.day,
+        amount: c.value - c.previous,
+        type: 'import',
+        previous: c.previous,
+        value: c.value
+      });
+    }
+    const first = changes[0].day;
+    const last = changes[changes.length - 1].day;
+    const lines = [`已匯入 ${changes.length} 天（${first === last ? first : `${first} ～ ${last}`}）。`];
+    return lines.concat(await recalculateFrom(userId, user, settings, changes[0].day, { backfill: true })).join('\n');
+  });
+}
+
+// Largest CSV file accepted from the chat, in bytes.
+const MAX_IMPORT_BYTES = 256 * 1024;
+
+/**
+ * Handle a file sent in the chat: a .csv file is read and previewed like
+ * pasted /匯入 rows; other files get a hint.
+ */
+async function handleFile (event, client) {
+  const { id, fileName = '', fileSize = 0 } = event.message;
+  if (!/\.(csv|txt)$/i.test(fileName)) {
+    return client.replyMessage(event.replyToken, { type: 'text', text: '目前只看得懂 CSV 檔（每行「日期,支數」），可以用來匯入以前的紀錄。' });
   }
-  saveData(data);
-  const messages = [
-    {
+  if (fileSize > MAX_IMPORT_BYTES) {
+    return client.replyMessage(event.replyToken, { type: 'text', text: '檔案太大了，請拆成幾個小一點的檔案再傳。' });
+  }
+  const chunks = [];
+  const stream = await client.getMessageContent(id);
+  for await (const chunk of stream) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf8');
+  return client.replyMessage(event.replyToken, await previewImport(event.source.userId, text));
+}
+
+/* --------------------------------------------------------------------------
+ * Group chats
+ * ------------------------------------------------------------------------ */
+
+// Commands that only make sense in a group chat.
+const GROUP_COMMAND = /^\/(?:加入|退出|排行|群組日結)(?:\s|$)/;
+
+// The member's LINE display name, or a generic one when it is not available.
+async function memberName (client, source) {
+  try {
+    const profile = source.type === 'room'
+      ? await client.getRoomMemberProfile(source.roomId, source.userId)
+      : await client.getGroupMemberProfile(source.groupId, source.userId);
+    return profile.displayName;
+  } catch (err) {
+    return '夥伴';
+  }
+}
+
+/**
+ * The client scheduled jobs push with. A handler's client may only be good
+ * for answering one message (see core.js); jobs outlive it, so they use the
+ * bot's own client it is derived from.
+ */
+function jobClient (client) {
+  return client.base || client;
+}
+
+/**
+ * A client whose replies are pushed to the user's one-to-one chat. The
+ * group only sees `ack`, or `failed` when the push does not go through
+ * (the user has not added the bot as a friend).
+ */
+function privateReplyClient (client, userId, ack, failed) {
+  return Object.assign(Object.create(client), {
+    async replyMessage (replyToken, messages) {
+      try {
+        await client.pushMessage(userId, messages);
+      } catch (err) {
+        console.error(`私訊回覆失敗：${userId}`, err.message);
+        return client.replyMessage(replyToken, { type: 'text', text: failed });
+      }
+      return client.replyMessage(replyToken, { type: 'text', text: ack });
+    }
+  });
+}
+
+/**
+ * The client to answer an event with. Anonymous group members get their
+ * personal replies in the one-to-one chat instead, and the group only sees
+ * a short acknowledgement.
+ */
+async function replyClientFor (client, event) {
+  const groupId = getGroupId(event.source);
+  const userId = event.source.userId;
+  if (!groupId || !userId) return client;
+  const group = await getGroup(groupId);
+  const member = group && group.members[userId];
+  if (!member || !member.anonymous) return client;
+  return privateReplyClient(client, userId, '記下了 ✅ 回覆已經私訊給你。', '記下了 ✅ 想收到私訊回饋的話，請先加我為好友。');
+}
+
+/**
+ * Each member's standing for the leaderboard and the digest: their label,
+ * whether they logged today, whether they kept today's plan target (null
+ * without a plan) and their weekly reduction, plus the team's combined
+ * reduction. Members' days follow their own timezones.
+ */
+async function groupStandings (group) {
+  const labels = memberLabels(group);
+  const members = [];
+  for (const userId of Object.keys(group.members)) {
+    const settings = await loadSettings(userId);
+    const today = getToday(settings);
+    const totals = await getStore().getDailyTotals(userId, { from: addDays(today, -WEEK_DAYS * 2), to: today });
+    const target = getTarget(settings.plan, today);
+    members.push(Object.assign({
+      label: labels[userId],
+      logged: totals[today] != null,
+      withinTarget: target == null ? null : (totals[today] || 0) <= target
+    }, weeklyReduction(totals, today)));
+  }
+  return { members, team: teamReduction(members) };
+}
+
+/**
+ * Handle a text message in a group chat. Only the group commands, +n/-n
+ * and slash commands are answered; everything else is conversation between
+ * the members and is left alone. Counts still go to each member's personal
+ * log.
+ *   /加入 [匿名|公開] – join the group's leaderboard, optionally anonymously.
+ *   /退出 – leave it.
+ *   /排行 – weekly leaderboard by reduction percentage.
+ *   /群組日結 [開|關|HH:MM] – show, switch or move the group digest.
+ *   /說明 – group help.
+ */
+async function handleGroupMessage (event, client, msg) {
+  const groupId = getGroupId(event.source);
+  const userId = event.source.userId;
+  const reply = text => client.replyMessage(event.replyToken, { type: 'text', text });
+  const isCommand = msg.startsWith('/') || parseAdjustment(msg);
+  if (!isCommand) return null;
+  if (!userId) return reply('我看不到你是誰，請先加我為好友再試一次。');
+  msg = resolveCommand(msg, getLocale(await loadSettings(userId)));
+  const joinMatch = msg.match(/^\/加入(?:\s+(.+))?$/);
+  if (joinMatch) {
+    if (joinMatch[1] && joinMatch[1] !== '匿名' && joinMatch[1] !== '公開') {
+      return reply('請輸入「/加入」或「/加入 匿名」；匿名參加後想公開顯示，輸入「/加入 公開」。');
+    }
+    const anonymous = joinMatch[1] === '匿名';
+    const name = await memberName(client, event.source);
+    const { group, result } = await joinGroup(groupId, userId, { name, anonymous });
+    if (await registerUser(userId)) await scheduleUser(client, userId);
+    await scheduleGroup(client, groupId, group);
+    const label = memberLabels(group)[userId];
+    if (result === 'updated') return reply(`好的，之後在排行上會顯示為「${label}」。`);
+    return reply([
+      `歡迎 ${label} 加入！目前群組裡有 ${Object.keys(group.members).length} 位夥伴。`,
+      anonymous
+        ? '你是匿名參加的，在群組裡記錄時我會把回覆私訊給你。'
+        : '想匿名參加的話輸入「/加入 匿名」。',
+      '在群組或私訊裡用 +1 記錄都算數，/排行 看最近 7 天的進步排行。'
+    ].join('\n'));
+  }
+  if (msg === '/退出') {
+    const { result } = await leaveGroup(groupId, [userId]);
+    return reply(result ? '已經退出群組排行了，你的個人紀錄都還在。' : '你還沒有加入這個群組的排行喔。');
+  }
+  if (msg === '/排行') {
+    const group = await getGroup(groupId);
+    if (!group || !Object.keys(group.members).length) return reply(describeLeaderboard([], null));
+    const { members, team } = await groupStandings(group);
+    return reply(describeLeaderboard(members, team));
+  }
+  const digestMatch = msg.match(/^\/群組日結(?:\s+(.+))?$/);
+  if (digestMatch) {
+    const arg = digestMatch[1] && digestMatch[1].trim();
+    const time = arg && normaliseTime(arg);
+    if (arg && !time && arg !== '開' && arg !== '關') {
+      return reply('請輸入「/群組日結 開」「/群組日結 關」或時間，例如「/群組日結 22:00」。');
+    }
+    const { group } = await updateGroup(groupId, g => {
+      if (arg === '關') g.digest = false;
+      else if (arg) g.digest = true;
+      if (time) g.digestTime = time;
+    });
+    await scheduleGroup(client, groupId, group);
+    if (!group.digest) return reply('群組日結已關閉，輸入「/群組日結 開」可以再打開。');
+    return reply(`群組日結會在每天 ${group.digestTime || DEFAULT_DIGEST_TIME} 送出；「/群組日結 關」可以關閉。`);
+  }
+  if (msg === '/說明') {
+    return reply([
+      '群組指令：',
+      '/加入：加入群組的減菸排行；/加入 匿名 在排行上匿名顯示，群組裡的回覆改用私訊',
+      '/退出：退出群組排行（個人紀錄會保留）',
+      '/排行：最近 7 天和前 7 天相比，每天平均減少的百分比排行，不比支數',
+      '/群組日結、/群組日結 關 或 /群組日結 22:00：每天的群組日結',
+      '+1、-1 在群組裡也能用，紀錄會算進你自己的帳',
+      '其他個人指令（/查詢、/登入、/匯出……）的回覆會私訊給你',
+      '更多個人指令請私訊我 /說明'
+    ].join('\n'));
+  }
+  // Only members and users the bot already knows are registered from a group;
+  // anyone else is pointed to /加入 instead of getting a record by accident.
+  const group = await getGroup(groupId);
+  if (!(group && group.members[userId]) && !(await getStore().getUser(userId))) {
+    return reply('想在群組裡記錄或查詢，請先輸入「/加入」加入減菸排行，或私訊我開始使用。');
+  }
+  const adjustment = parseAdjustment(msg);
+  if (adjustment) return handleAdjust(event, await replyClientFor(client, event), adjustment.amount, adjustment.tags);
+  // Personal commands answer with the member's own data (counts, tokens,
+  // download links, invite codes), so the answer never goes to the group.
+  const personal = privateReplyClient(client, userId, '回覆已經私訊給你了 📩', '這個指令的回覆只會私訊給你，請先加我為好友再試一次。');
+  return handleCommand(msg, event, personal);
+}
+
+/**
+ * Handle the bot being added to a group.
+ */
+function handleJoin (event, client) {
+  return client.replyMessage(event.replyToken, {
+    type: 'text',
+    text: '大家好～我是悠悠！想一起減菸的人輸入 /加入（或 /加入 匿名），用 +1 記錄，/排行 看每週誰進步最多。群組指令請輸入 /說明。'
+  });
+}
+
+/**
+ * Handle the bot leaving a group or members leaving it: the group (and its
+ * digest) is switched off, or the members are taken off its leaderboard.
+ */
+async function handleGroupLeave (event) {
+  const groupId = getGroupId(event.source);
+  if (!groupId) return null;
+  if (event.type === 'leave') {
+    cancelUserJobs(groupId);
+    await updateGroup(groupId, group => {
+      group.active = false;
+    });
+    console.log(`已離開群組，停止群組日結：${groupId}`);
+    return null;
+  }
+  const userIds = event.left.members.map(m => m.userId).filter(Boolean);
+  if (await getGroup(groupId)) await leaveGroup(groupId, userIds);
+  return null;
+}
+
+/**
+ * Push the end-of-day digest to a group: how many members logged and kept
+ * their targets, and who improved most this week. Raw counts are never
+ * shown.
+ */
+async function pushGroupDigest (client, groupId) {
+  const group = await getGroup(groupId);
+  if (!group || group.active === false || !group.digest || !Object.keys(group.members).length) return;
+  const { members, team } = await groupStandings(group);
+  const day = getToday({});
+  await client.pushMessage(groupId, { type: 'text', text: describeDigest(members, team, day) });
+  console.log(`群組日結已發送：${groupId}`);
+}
+
+/**
+ * Register a group's digest job, in the default timezone, or cancel it when
+ * the digest is off. Group jobs share the scheduler registry with users,
+ * keyed by the group id.
+ */
+async function scheduleGroup (client, groupId, group) {
+  client = jobClient(client);
+  if (group.active === false || !group.digest) {
+    cancelUserJob(groupId, 'digest');
+    return;
+  }
+  const at = parseTime(group.digestTime || DEFAULT_DIGEST_TIME);
+  scheduleUserJob(groupId, 'digest', { hour: Math.floor(at / 60), minute: at % 60, tz: DEFAULT_TIMEZONE }, () =>
+    pushGroupDigest(client, groupId)
+  );
+}
+
+/**
+ * Register the digest of every active group; called once on boot.
+ */
+async function scheduleAllGroups (client) {
+  for (const [groupId, group] of await listGroups()) {
+    await scheduleGroup(client, groupId, group);
+  }
+}
+
+/* --------------------------------------------------------------------------
+ * Accountability buddies
+ * ------------------------------------------------------------------------ */
+
+// The user's LINE display name, shown to their buddy.
+async function displayName (client, userId) {
+  try {
+    return (await client.getProfile(userId)).displayName;
+  } catch (err) {
+    return '好友';
+  }
+}
+
+/**
+ * Apply a /夥伴 subcommand and resolve to the reply (text or a message).
+ */
+async function changeBuddy (client, userId, settings, args) {
+  const [sub, value] = args.trim().split(/\s+/);
+  const buddy = settings.buddy;
+  if (sub === '邀請') {
+    if (buddy) return `你已經和 ${buddy.name} 配對了，要換夥伴請先輸入「/夥伴 解除」。`;
+    const { code } = await createInvite(userId, await displayName(client, userId));
+    return [
+      `你的邀請碼：${code}`,
+      `請在 ${INVITE_HOURS} 小時內交給你信任的朋友，對方加我為好友後輸入「/夥伴 ${code}」並確認就配對完成。`,
+      '邀請碼只能用一次，再輸入一次「/夥伴 邀請」會換一組新的。'
+    ].join('\n');
+  }
+  if (sub === '加油') return sendCheer(client, userId);
+  if (sub === '解除') return unpairBuddy(client, userId);
+  if (sub === '暫停' || sub === '恢復') {
+    if (!buddy) return describeBuddy(null);
+    const paused = sub === '暫停';
+    await getStore().withLock(userId, async () => {
+      const current = (await loadSettings(userId)).buddy;
+      if (current) await getStore().updateSettings(userId, { buddy: Object.assign({}, current, { paused }) });
+    });
+    return paused
+      ? `已暫停和 ${buddy.name} 之間的通知和加油，配對會保留；輸入「/夥伴 恢復」重新開始。`
+      : `已恢復和 ${buddy.name} 之間的通知。`;
+  }
+  if (sub === '分享') {
+    if (!buddy) return describeBuddy(null);
+    const share = { 支數: 'counts', 狀態: 'status' }[value];
+    if (!share) return '請輸入「/夥伴 分享 支數」（讓對方看到支數）或「/夥伴 分享 狀態」（只告訴對方有沒有超標）。';
+    await getStore().withLock(userId, async () => {
+      const current = (await loadSettings(userId)).buddy;
+      if (current) await getStore().updateSettings(userId, { buddy: Object.assign({}, current, { share }) });
+    });
+    return `好的，之後分享給 ${buddy.name} 的是：${SHARE_LEVELS[share]}。`;
+  }
+  // Anything else is an invite code to confirm.
+  const invite = await findInvite(sub);
+  if (!invite) return '找不到這個邀請碼，可能打錯或已經過期了，請對方重新輸入「/夥伴 邀請」。';
+  if (invite.userId === userId) return '這是你自己的邀請碼，請交給想配對的朋友輸入。';
+  if (buddy) return `你已經和 ${buddy.name} 配對了，要換夥伴請先輸入「/夥伴 解除」。`;
+  return {
+    type: 'text',
+    text: `要和 ${invite.name} 成為減菸夥伴嗎？\n配對後，任何一方超標時另一方會收到通知。預設只分享「有沒有超標」，之後可以用 /夥伴 分享 調整。`,
+    quickReply: {
+      items: [
+        postbackItem('確認配對', encodePostback('buddy', { op: 'confirm', code: sub })),
+        postbackItem('取消', encodePostback('buddy', { op: 'decline' }))
+      ]
+    }
+  };
+}
+
+// Run `fn` holding two users' locks, always taken in the same order so that
+// two callers locking the same pair cannot wait on each other.
+function withBothLocks (a, b, fn) {
+  const [first, second] = [a, b].sort();
+  return getStore().withLock(first, () => getStore().withLock(second, fn));
+}
+
+/**
+ * Pair a user with the owner of an invite code. The code is used up even
+ * when pairing then fails, so it cannot be tried again. Resolves to the
+ * reply text.
+ */
+async function pairBuddy (client, userId, code) {
+  const invite = await consumeInvite(code);
+  if (!invite) return '這個邀請碼已經用過或過期了，請對方重新輸入「/夥伴 邀請」。';
+  if (invite.userId === userId) return '這是你自己的邀請碼，請交給想配對的朋友輸入。';
+  const name = await displayName(client, userId);
+  // Check and write both sides under both locks, so two confirmations at
+  // once cannot give anyone a second buddy.
+  const paired = await withBothLocks(userId, invite.userId, async () => {
+    if ((await loadSettings(userId)).buddy || (await loadSettings(invite.userId)).buddy) return false;
+    await getStore().updateSettings(userId, { buddy: newBuddy(invite.userId, invite.name) });
+    await getStore().updateSettings(invite.userId, { buddy: newBuddy(userId, name) });
+    return true;
+  });
+  if (!paired) return '你們其中一方已經有夥伴了，要換夥伴請先輸入「/夥伴 解除」。';
+  try {
+    await client.pushMessage(invite.userId, {
       type: 'text',
-      text: `今日抽 ${data.today} 支，昨日 ${data.yesterday} 支，連續減量：${data.streak} 天。`
+      text: `🤝 ${name} 接受了你的邀請，你們現在是減菸夥伴了！輸入 /夥伴 看看設定。`
+    });
+  } catch (err) {
+    console.error(`推送夥伴配對通知失敗：${invite.userId}`, err.message);
+  }
+  return `🤝 你和 ${invite.name} 現在是減菸夥伴了！輸入 /夥伴 看看設定。`;
+}
+
+/**
+ * End a user's pairing on both sides and let the other side know.
+ */
+async function unpairBuddy (client, userId) {
+  const buddy = (await loadSettings(userId)).buddy;
+  if (!buddy) return describeBuddy(null);
+  await getStore().withLock(userId, () => getStore().updateSettings(userId, { buddy: null }));
+  const theirs = (await loadSettings(buddy.userId)).buddy;
+  if (theirs && theirs.userId === userId) {
+    await getStore().withLock(buddy.userId, () => getStore().updateSettings(buddy.userId, { buddy: null }));
+    try {
+      await client.pushMessage(buddy.userId, { type: 'text', text: `${theirs.name} 結束了你們的夥伴配對。謝謝你一路的陪伴！` });
+    } catch (err) {
+      console.error(`推送夥伴解除通知失敗：${buddy.userId}`, err.message);
     }
+  }
+  return `已解除和 ${buddy.name} 的配對。`;
+}
+
+/**
+ * Send a canned encouragement to the user's buddy, delivered by the
+ * buddy's own character. At most MAX_CHEERS_PER_DAY a day. Resolves to
+ * the reply text.
+ */
+async function sendCheer (client, userId) {
+  const settings = await loadSettings(userId);
+  const buddy = settings.buddy;
+  if (!buddy) return describeBuddy(null);
+  const theirSettings = await loadSettings(buddy.userId);
+  if (!isActive(buddy, theirSettings.buddy, userId)) return '你們的通知目前暫停中，恢復後才能傳加油喔。';
+  const today = getToday(settings);
+  const sent = settings.buddyCheers && settings.buddyCheers.day === today ? settings.buddyCheers.count : 0;
+  if (sent >= MAX_CHEERS_PER_DAY) return `今天已經傳了 ${MAX_CHEERS_PER_DAY} 次加油，明天再繼續吧！`;
+  const pack = getCharacter(theirSettings);
+  try {
+    await client.pushMessage(buddy.userId, {
+      type: 'text',
+      text: `💌 ${pack.name}叼著一張小紙條跑過來：\n「${theirSettings.buddy.name} 要我跟你說：${pickCheer()}」`
+    });
+  } catch (err) {
+    console.error(`推送夥伴加油失敗：${buddy.userId}`, err.message);
+    return '加油沒有送出去，請稍後再試。';
+  }
+  await getStore().updateSettings(userId, { buddyCheers: { day: today, count: sent + 1 } });
+  return `${getCharacter(settings).name}已經把你的加油送到 ${buddy.name} 那裡了 💌`;
+}
+
+/**
+ * Push the "over the limit" alert to a user's buddy, if the pairing is
+ * active and it is not the buddy's quiet time.
+ */
+async function alertBuddy (client, userId, { count, limit, usesTarget }) {
+  const buddy = (await loadSettings(userId)).buddy;
+  if (!buddy) return;
+  const theirSettings = await loadSettings(buddy.userId);
+  if (!isActive(buddy, theirSettings.buddy, userId)) return;
+  if (inQuietHours(theirSettings)) {
+    console.log(`勿擾時段，略過夥伴通知：${buddy.userId}`);
+    return;
+  }
+  await client.pushMessage(buddy.userId, {
+    type: 'text',
+    text: composeBuddyAlert(theirSettings.buddy.name, buddy.share, count, limit, usesTarget),
+    quickReply: { items: [postbackItem('送上加油', encodePostback('buddy', { op: 'cheer' }), '/夥伴 加油')] }
+  });
+  console.log(`夥伴通知已發送：${buddy.userId}`);
+}
+
+/* --------------------------------------------------------------------------
+ * Craving SOS sessions
+ * ------------------------------------------------------------------------ */
+
+// Names of the scheduler jobs that belong to a craving session.
+const CRAVING_JOBS = CHECKIN_MINUTES.map((m, i) => `craving-${i}`).concat('craving-expire');
+
+// Quick replies offered during a craving session; the last check-in drops 還在撐.
+function cravingQuickReply (startedAt, final = false) {
+  const items = [
+    postbackItem('撐過了', encodePostback('craving', { outcome: 'resisted', session: startedAt })),
+    postbackItem('還是抽了', encodePostback('craving', { outcome: 'smoked', session: startedAt }), '還是抽了 +1')
   ];
-  if (reward) {
-    messages.push({ type: 'image', originalContentUrl: reward.image, previewImageUrl: reward.image });
-    messages.push({ type: 'text', text: reward.text });
+  if (!final) items.push(postbackItem('還在撐', encodePostback('craving', { outcome: 'holding', session: startedAt })));
+  return { items };
+}
+
+/**
+ * Close a craving session: cancel its check-ins, record how it ended and
+ * clear it from the settings. Must be called while holding the user's lock.
+ */
+async function endCravingSession (userId, session, outcome) {
+  for (const name of CRAVING_JOBS) cancelUserJob(userId, name);
+  await getStore().addEvent(userId, {
+    ts: new Date().toISOString(),
+    day: session.day,
+    amount: 0,
+    type: 'craving',
+    outcome,
+    startedAt: session.startedAt
+  });
+  await getStore().updateSettings(userId, { craving: null });
+}
+
+/**
+ * End the session started at `startedAt` with the given outcome. Resolves
+ * false if that session is no longer running (an old button was tapped).
+ */
+function finishCraving (userId, startedAt, outcome) {
+  return getStore().withLock(userId, async () => {
+    const settings = await loadSettings(userId);
+    if (!settings.craving || settings.craving.startedAt !== startedAt) return false;
+    await endCravingSession(userId, settings.craving, outcome);
+    return true;
+  });
+}
+
+/**
+ * Push check-in `index` of a session, unless the session has ended or the
+ * check-in was already sent, and remember that it went out.
+ */
+async function pushCheckin (client, userId, startedAt, index) {
+  const name = await getStore().withLock(userId, async () => {
+    const settings = await loadSettings(userId);
+    const session = settings.craving;
+    if (!session || session.startedAt !== startedAt || session.sent > index) return null;
+    await getStore().updateSettings(userId, { craving: Object.assign({}, session, { sent: index + 1 }) });
+    return getCharacter(settings).name;
+  });
+  if (!name) return;
+  await client.pushMessage(userId, {
+    type: 'text',
+    text: checkinText(index, name),
+    quickReply: cravingQuickReply(startedAt, index === CHECKIN_MINUTES.length - 1)
+  });
+}
+
+// Schedule the check-ins of a session that have not been sent, and its expiry.
+function scheduleCraving (client, userId, session) {
+  client = jobClient(client);
+  checkinTimes(session).forEach((at, i) => {
+    if (i < session.sent) return;
+    scheduleUserJob(userId, `craving-${i}`, at, () => pushCheckin(client, userId, session.startedAt, i));
+  });
+  scheduleUserJob(userId, 'craving-expire', expiryTime(session), () =>
+    finishCraving(userId, session.startedAt, 'unanswered')
+  );
+}
+
+/**
+ * Pick up a craving session that was running when the process stopped.
+ * Expired sessions are closed as unanswered; if check-ins fell due while
+ * the bot was down, only the latest of them is sent now.
+ */
+async function restoreCraving (client, userId) {
+  const session = (await loadSettings(userId)).craving;
+  if (!session) return;
+  const now = new Date();
+  if (expiryTime(session) <= now) {
+    await finishCraving(userId, session.startedAt, 'unanswered');
+    return;
+  }
+  const due = checkinTimes(session).filter((at, i) => i >= session.sent && at <= now).length;
+  if (due) await pushCheckin(client, userId, session.startedAt, session.sent + due - 1);
+  scheduleCraving(client, userId, (await loadSettings(userId)).craving);
+}
+
+/**
+ * Handle /想抽: start a craving session (or keep the running one going)
+ * and reply with an exercise and the session's quick replies.
+ */
+async function startCraving (event, client) {
+  const userId = event.source.userId;
+  const { session, fresh, name } = await getStore().withLock(userId, async () => {
+    const settings = await loadSettings(userId);
+    const name = getCharacter(settings).name;
+    const running = settings.craving;
+    if (running && expiryTime(running) > new Date()) return { session: running, fresh: false, name };
+    // A session left over from before a restart is closed first.
+    if (running) await endCravingSession(userId, running, 'unanswered');
+    const session = { startedAt: new Date().toISOString(), day: getToday(settings), sent: 0 };
+    await getStore().updateSettings(userId, { craving: session });
+    return { session, fresh: true, name };
+  });
+  if (fresh) scheduleCraving(client, userId, session);
+  const intro = fresh
+    ? `收到！想抽的感覺通常幾分鐘就會過去，${name}陪你一起撐。`
+    : `${name}還在陪你喔，再試試這個：`;
+  return client.replyMessage(event.replyToken, {
+    type: 'text',
+    text: `${intro}\n\n${pickExercise(name)}`,
+    quickReply: cravingQuickReply(session.startedAt)
+  });
+}
+
+// Postback routes for rich menu taps, buttons and the onboarding flow.
+registerPostback('craving', async (event, client, params) => {
+  const userId = event.source.userId;
+  const reply = text => client.replyMessage(event.replyToken, { type: 'text', text });
+  if (params.outcome === 'holding') {
+    const settings = await loadSettings(userId);
+    if (!settings.craving || settings.craving.startedAt !== params.session) {
+      return reply(`這次的想抽已經結束囉。下次想抽時輸入 /想抽，${getCharacter(settings).name}會再陪你。`);
+    }
+    return client.replyMessage(event.replyToken, {
+      type: 'text',
+      text: `很好，再撐一下下！\n\n${pickExercise(getCharacter(settings).name)}`,
+      quickReply: cravingQuickReply(params.session)
+    });
+  }
+  if (params.outcome !== 'resisted' && params.outcome !== 'smoked') return null;
+  if (!(await finishCraving(userId, params.session, params.outcome))) {
+    return reply('這次的想抽已經結束囉。下次想抽時輸入 /想抽，再陪你一起撐。');
+  }
+  if (params.outcome === 'smoked') return handleAdjust(event, client, 1);
+  const { name } = getCharacter(await loadSettings(userId));
+  return reply(`太厲害了，你撐過這一波了！這一支省下來囉。\n${name}替你記下這一次的勝利！`);
+});
+
+registerPostback('adjust', (event, client, params) => {
+  const amount = parseInt(params.amount, 10);
+  if (!Number.isInteger(amount)) return null;
+  return handleAdjust(event, client, amount);
+});
+registerPostback('command', (event, client, params) => {
+  if (!params.text || !params.text.startsWith('/')) return null;
+  return handleCommand(params.text, event, client);
+});
+registerPostback('correction', async (event, client, params) => {
+  if (params.cancel) {
+    return client.replyMessage(event.replyToken, { type: 'text', text: '好的，不修正了。' });
   }
+  const value = parseInt(params.value, 10);
+  const today = getToday(await loadSettings(event.source.userId));
+  if (!isDayKey(params.day) || params.day > today || !Number.isInteger(value)) return null;
+  const text = await applyCorrection(event.source.userId, { day: params.day, value, relative: params.relative === '1' });
+  return client.replyMessage(event.replyToken, { type: 'text', text });
+});
+registerPostback('intent', async (event, client, params) => {
+  if (params.cancel) {
+    return client.replyMessage(event.replyToken, { type: 'text', text: '好的，那就不記了。需要的話也可以直接傳「+1」。' });
+  }
+  const amount = parseInt(params.amount, 10);
+  const at = params.at ? new Date(parseInt(params.at, 10)) : null;
+  const today = getToday(await loadSettings(event.source.userId));
+  if (!isDayKey(params.day) || params.day > today || !Number.isInteger(amount) || amount === 0) {
+    return null;
+  }
+  if (at && isNaN(at.getTime())) return null;
+  return recordIntent(event, client, { day: params.day, amount, at });
+});
+registerPostback('import', async (event, client, params) => {
+  const userId = event.source.userId;
+  if (params.mode === 'cancel') {
+    await getStore().updateSettings(userId, { pendingImport: null });
+    return client.replyMessage(event.replyToken, { type: 'text', text: '好的，這次不匯入了。' });
+  }
+  if (params.mode !== 'keep' && params.mode !== 'overwrite') return null;
+  const text = await applyImport(userId, params.mode === 'overwrite');
+  return client.replyMessage(event.replyToken, { type: 'text', text });
+});
+registerPostback('buddy', async (event, client, params) => {
+  const userId = event.source.userId;
+  let text;
+  if (params.op === 'confirm') text = await pairBuddy(client, userId, params.code);
+  else if (params.op === 'cheer') text = await sendCheer(client, userId);
+  else if (params.op === 'decline') text = '好的，沒有配對。';
+  else return null;
+  return client.replyMessage(event.replyToken, { type: 'text', text });
+});
+registerPostback('onboard', (event, client, params) => {
+  const text = onboardingSteps[params.step];
+  if (!text) return null;
+  return client.replyMessage(event.replyToken, { type: 'text', text, quickReply: onboardingQuickReply() });
+});
+
+/**
+ * Summarize one user’s day. If the day is successful (within the plan
+ * target, or below yesterday without a plan), increment the streak; then
+ * evaluate the achievement rules for the finished day and let it lift or
+ * weigh on the character's companion state.
+ * Pushes the dashboard bubble, noting the money saved and the cravings
+ * resisted, followed by the rewards of any new badges.
+ */
+async function summarizeUserDay (client, userId) {
+  const summary = await getStore().withLock(userId, async () => {
+    const user = await loadUser(userId);
+    const settings = await loadSettings(userId);
+    const day = getToday(settings);
+    // Changing the cutoff can move the summary job; never judge a day twice.
+    if (user.lastSummary === day) return null;
+    user.lastSummary = day;
+    const totals = await getStore().getDailyTotals(userId, { from: addDays(day, -1), to: day });
+    const result = judgeDay(totals, settings.plan, day, user.streak);
+    user.streak = result.streak;
+    const companion = applyDay(
+      getCompanion(settings),
+      totals[day] || 0,
+      totals[addDays(day, -1)] || 0,
+      getTarget(settings.plan, day)
+    );
+    await getStore().updateSettings(userId, { companion });
+    user.results = (user.results || []).concat(result);
+    const ctx = await loadAchievementContext(userId, user, day);
+    const unlocked = evaluate(user, ctx, day);
+    await getStore().saveUser(user);
+    const locale = getLocale(settings);
+    const dashboard = await getDashboardData(userId, settings, user.streak, t(locale, 'summary.title', { day }), day);
+    const cravings = countCravings(await getStore().listEvents(userId, { from: day, to: day }), day);
+    // A day nobody logged is not smoke-free yet; there are still ten
+    // minutes left to say so.
+    const unlogged = ctx.loggedDays.has(day) ? null : '今天還沒有任何紀錄；沒抽的話在換日前輸入 +0，就會記成無菸日。';
+    dashboard.note = [describeDaySavings(settings, ctx.totals, day), describeCravings(cravings), unlogged]
+      .filter(Boolean)
+      .join('\n');
+    return { dashboard, unlocked, locale };
+  });
+  if (!summary) {
+    console.log(`日結跳過：${userId} 今日已統計`);
+    return;
+  }
+  const { dashboard, unlocked, locale } = summary;
+  // A single push carries at most five messages.
+  const messages = [buildDashboard(dashboard, locale)].concat(rewardMessages(unlocked)).slice(0, 5);
   try {
-    await client.pushMessage(process.env.USER_ID, messages);
-    console.log('日結訊息發送完畢');
+    await client.pushMessage(userId, messages);
+    console.log(`日結訊息發送完畢：${userId}`);
   } catch (err) {
-    console.error('推送日結訊息失敗', err);
+    console.error(`推送日結訊息失敗：${userId}`, err);
+  }
+}
+
+/**
+ * Summarize the day for every active user.
+ */
+async function summarizeDay (client) {
+  for (const userId of await listUsers()) {
+    const user = await getStore().getUser(userId);
+    if (user.active === false) continue;
+    await summarizeUserDay(client, userId);
+  }
+}
+
+// Whether the user's quiet hours are in effect right now.
+function inQuietHours (settings) {
+  const now = getLocalParts(new Date(), getTimeZone(settings));
+  return isQuietTime(settings.quietHours, now.hour * 60 + now.minute);
+}
+
+/**
+ * Push the morning weather report for the user's location, unless it falls
+ * in their quiet hours.
+ */
+async function pushWeather (client, userId) {
+  const settings = await loadSettings(userId);
+  if (inQuietHours(settings)) {
+    console.log(`勿擾時段，略過天氣預報：${userId}`);
+    return;
+  }
+  const weather = await getWeather(getLocation(settings));
+  const report = composeWeatherReport(weather, getCharacter(settings), moodOf(getCompanion(settings)), getLocale(settings));
+  await client.pushMessage(userId, { type: 'text', text: report });
+  console.log(`天氣預報已發送：${userId}`);
+}
+
+/**
+ * Check the air at the user's location and push an alert when PM2.5 or the
+ * UV index has just crossed their threshold. Each episode alerts once; an
+ * alert held back by quiet hours is sent on a later check if the episode
+ * is still going.
+ */
+async function checkUserAir (client, userId) {
+  const settings = await loadSettings(userId);
+  const alert = getAirAlert(settings);
+  if (!alert.enabled) return;
+  const weather = await getWeather(getLocation(settings));
+  // A cached report from before an outage says nothing about the air now.
+  if (weather.stale) return;
+  const { episode, started } = updateEpisodes(weather, alert, settings.airEpisode);
+  const quiet = started.length > 0 && inQuietHours(settings);
+  if (quiet) for (const key of started) delete episode[key];
+  if (JSON.stringify(episode) !== JSON.stringify(settings.airEpisode || {})) {
+    await getStore().updateSettings(userId, { airEpisode: Object.keys(episode).length ? episode : null });
+  }
+  if (!started.length || quiet) return;
+  const today = getToday(settings);
+  const count = await getDailyTotal(userId, today);
+  await client.pushMessage(userId, {
+    type: 'text',
+    text: composeAirAlert(weather, alert, started, count, getTarget(settings.plan, today))
+  });
+  console.log(`空氣提醒已發送：${userId}`);
+}
+
+/**
+ * Run the air-quality check for every active user. Reports are cached per
+ * location, so users in the same city share one upstream request.
+ */
+async function checkAirQuality (client) {
+  for (const userId of await listUsers()) {
+    const user = await getStore().getUser(userId);
+    if (user.active === false) continue;
+    try {
+      await checkUserAir(client, userId);
+    } catch (err) {
+      console.error(`空氣品質檢查失敗：${userId}`, err.message);
+    }
+  }
+}
+
+/**
+ * Push one of the user's reminders, unless it falls in their quiet hours.
+ * Reminders without their own text ask whether today has been logged.
+ */
+async function pushReminder (client, userId, reminder) {
+  const settings = await loadSettings(userId);
+  if (inQuietHours(settings)) {
+    console.log(`勿擾時段，略過提醒：${userId}`);
+    return;
+  }
+  let text = reminder.text;
+  if (!text) {
+    const n = await getDailyTotal(userId, getToday(settings));
+    text = `今天記錄了嗎？目前記了 ${n} 支，有漏記的話傳「+1」補上就好。`;
+  }
+  await client.pushMessage(userId, {
+    type: 'text',
+    text: `⏰ ${text}`,
+    quickReply: {
+      items: [
+        postbackItem('+1', encodePostback('adjust', { amount: 1 }), '+1'),
+        postbackItem('今日戰況', encodePostback('command', { text: '/查詢' }), '/查詢')
+      ]
+    }
+  });
+}
+
+/**
+ * Register a user's scheduled pushes in their own timezone: the nightly
+ * summary ten minutes before their day ends, the weather report (06:30
+ * unless moved or switched off) and their personal reminders. Calling it
+ * again replaces the previous jobs.
+ */
+async function scheduleUser (client, userId) {
+  client = jobClient(client);
+  const settings = await loadSettings(userId);
+  const tz = getTimeZone(settings);
+  const summaryAt = (parseCutoff(getDayCutoff(settings)) - 10 + 24 * 60) % (24 * 60);
+  scheduleUserJob(userId, 'summary', { hour: Math.floor(summaryAt / 60), minute: summaryAt % 60, tz }, () =>
+    summarizeUserDay(client, userId)
+  );
+  const weatherTime = getWeatherTime(settings);
+  if (weatherTime) {
+    const at = parseTime(weatherTime);
+    scheduleUserJob(userId, 'weather', { hour: Math.floor(at / 60), minute: at % 60, tz }, () =>
+      pushWeather(client, userId)
+    );
+  } else {
+    cancelUserJob(userId, 'weather');
+  }
+  for (const name of listUserJobs(userId)) {
+    if (name.startsWith('reminder-')) cancelUserJob(userId, name);
+  }
+  for (const reminder of settings.reminders || []) {
+    scheduleUserJob(userId, `reminder-${reminder.id}`, Object.assign({ tz }, reminderSchedule(reminder)), () =>
+      pushReminder(client, userId, reminder)
+    );
+  }
+}
+
+/**
+ * Register scheduled pushes for every known user and pick up craving
+ * sessions that were running; called once on boot.
+ */
+async function scheduleAllUsers (client) {
+  for (const userId of await listUsers()) {
+    const user = await getStore().getUser(userId);
+    if (user.active === false) continue;
+    // One failing user (e.g. a push to someone who blocked the bot) must not
+    // leave everyone after them without their jobs.
+    try {
+      await scheduleUser(client, userId);
+      await restoreCraving(client, userId);
+    } catch (err) {
+      console.error(`排程註冊失敗：${userId}`, err.message);
+    }
   }
 }
 
 module.exports = {
   handleAdjust,
   handleCommand,
-  resetDaily,
   summarizeDay,
+  checkAirQuality,
   handleInteraction,
+  handleFile,
+  handleFollow,
+  handleUnfollow,
+  handleGroupMessage,
+  handleJoin,
+  handleGroupLeave,
+  replyClientFor,
+  listUsers,
+  registerUser,
+  getToday,
+  getTimeZone,
+  getHistory,
+  scheduleUser,
+  scheduleAllUsers,
+  scheduleAllGroups,
+  getWeather,
   getTaipeiWeather,
   composeWeatherReport
 };
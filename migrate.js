@@ -0,0 +1,116 @@
+// 📁 migrate.js
+
+// Import the legacy data.json into the configured storage backend.
+//
+// Two legacy layouts exist: the original single counter object
+// ({ date, today, yesterday, streak }, assigned to USER_ID) and the per-user
+// layout ({ users: { id: { streak, daily, events, timezone, ... } } }). Both
+// are converted into plain users, events and settings. Daily totals that the
+// event log does not explain are kept as "import" events so no history is
+// lost.
+//
+// Usage: node migrate.js [path/to/data.json]
+
+const fs = require('fs');
+const { addDays, getDayKey } = require('./dates');
+
+// Keys from a legacy user record that are settings rather than state.
+const SETTING_KEYS = ['timezone', 'dayCutoff'];
+
+/**
+ * Convert one legacy user record into { user, events, settings }.
+ */
+function convertLegacyUser (id, record) {
+  const user = { id, createdAt: record.createdAt || new Date().toISOString() };
+  const settings = {};
+  const events = [];
+  const daily = Object.assign({}, record.daily);
+  // The original counter layout only knows today and yesterday.
+  if (typeof record.today === 'number' || typeof record.yesterday === 'number') {
+    const date = record.date || getDayKey();
+    if (record.today) daily[date] = record.today;
+    if (record.yesterday) daily[addDays(date, -1)] = record.yesterday;
+  }
+  for (const e of record.events || []) {
+    events.push({ ts: e.ts, day: e.day, amount: e.amount, type: e.type || 'adjust' });
+  }
+  // Anything the log does not account for becomes a single import event.
+  const logged = {};
+  for (const e of events) logged[e.day] = (logged[e.day] || 0) + e.amount;
+  for (const [day, total] of Object.entries(daily)) {
+    const missing = total - (logged[day] || 0);
+    if (missing !== 0) {
+      events.push({ ts: `${day}T12:00:00.000Z`, day, amount: missing, type: 'import' });
+    }
+  }
+  events.sort((a, b) => a.ts.localeCompare(b.ts));
+  for (const [key, value] of Object.entries(record)) {
+    if (SETTING_KEYS.includes(key)) {
+      settings[key] = value;
+    } else if (!['date', 'today', 'yesterday', 'daily', 'events', 'createdAt'].includes(key)) {
+      user[key] = value;
+    }
+  }
+  if (typeof user.streak !== 'number') user.streak = 0;
+  return { user, events, settings };
+}
+
+/**
+ * Convert a parsed legacy data.json into a list of { user, events, settings }.
+ * The original single-user layout is assigned to `fallbackUserId`. Without
+ * one it cannot be attributed, so it throws unless the counter is still all
+ * zeros; an unknown layout throws too, so that nothing is silently dropped.
+ */
+function convertLegacyData (raw, fallbackUserId = process.env.USER_ID) {
+  if (raw && raw.users && typeof raw.users === 'object') {
+    return Object.entries(raw.users).map(([id, record]) => convertLegacyUser(id, record));
+  }
+  if (raw && typeof raw.today === 'number') {
+    if (fallbackUserId) return [convertLegacyUser(fallbackUserId, raw)];
+    if (!raw.today && !raw.yesterday && !raw.streak) return [];
+    throw new Error('舊版 data.json 是單一使用者的格式，請用 USER_ID 指定它屬於哪一位 LINE 使用者');
+  }
+  if (raw && typeof raw === 'object' && Object.keys(raw).length) {
+    throw new Error('看不懂 data.json 的格式，沒有轉換');
+  }
+  return [];
+}
+
+/**
+ * Import a legacy data.json file into a store. Users that already exist in
+ * the store are skipped so the migration can safely run more than once.
+ * Returns the number of imported users.
+ */
+async function importLegacyFile (store, file) {
+  const raw = JSON.parse(fs.readFileSync(file));
+  let imported = 0;
+  for (const { user, events, settings } of convertLegacyData(raw)) {
+    if (await store.getUser(user.id)) continue;
+    await store.saveUser(user);
+    for (const event of events) await store.addEvent(user.id, event);
+    if (Object.keys(settings).length) await store.updateSettings(user.id, settings);
+    imported++;
+  }
+  return imported;
+}
+
+module.exports = {
+  convertLegacyData,
+  importLegacyFile
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { getStore } = require('./store');
+  const file = process.argv[2] || './data.json';
+  const store = getStore();
+  importLegacyFile(store, file)
+    .then(count => {
+      console.log(`已匯入 ${count} 位使用者`);
+      store.close();
+    })
+    .catch(err => {
+      console.error('資料遷移失敗', err);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,88 @@
+// 📁 plan.js
+
+// Taper plans. A plan starts from a daily count on the day it is created and
+// reaches zero on the quit date, either along a straight line or in weekly
+// steps. The plan is stored in the user's settings under `plan`:
+//   { start, startDate, quitDate, curve: 'linear' | 'step' }
+
+const { addDays, isDayKey } = require('./dates');
+
+// Length of one step for stepwise plans, in days.
+const STEP_DAYS = 7;
+
+const CURVE_NAMES = {
+  linear: '線性',
+  step: '階梯'
+};
+
+// Number of whole days between two YYYY-MM-DD strings.
+function daysBetween (from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Return the target cigarette count for a day under the given plan. Days
+ * before the plan was created have no target (null); the quit date and
+ * everything after it have a target of zero.
+ */
+function getTarget (plan, day) {
+  if (!plan || day < plan.startDate) return null;
+  const total = daysBetween(plan.startDate, plan.quitDate);
+  const elapsed = daysBetween(plan.startDate, day);
+  if (elapsed === 0) return plan.start;
+  if (elapsed >= total) return 0;
+  if (plan.curve === 'step') {
+    const steps = Math.ceil(total / STEP_DAYS);
+    const step = Math.floor(elapsed / STEP_DAYS);
+    return Math.round((plan.start * (steps - step)) / steps);
+  }
+  return Math.ceil(plan.start * (1 - elapsed / total));
+}
+
+/**
+ * Parse the arguments of `/目標 <起始支數> <戒菸日 YYYY-MM-DD> [線性|階梯]`.
+ * Returns { plan } on success or { error } with a message for the user.
+ */
+function parsePlan (args, today) {
+  const parts = args.trim().split(/\s+/);
+  const start = parseInt(parts[0], 10);
+  const quitDate = parts[1];
+  const curveArg = parts[2] || '線性';
+  if (!Number.isInteger(start) || start <= 0 || String(start) !== parts[0]) {
+    return { error: '起始支數要是正整數，例如「/目標 20 2026-12-31 線性」。' };
+  }
+  if (!isDayKey(quitDate)) {
+    return { error: '戒菸日請用 YYYY-MM-DD 格式，例如 2026-12-31。' };
+  }
+  if (quitDate <= today) {
+    return { error: '戒菸日要在今天之後喔。' };
+  }
+  const curve = Object.keys(CURVE_NAMES).find(k => k === curveArg || CURVE_NAMES[k] === curveArg);
+  if (!curve) {
+    return { error: '減量曲線只能是「線性」或「階梯」。' };
+  }
+  return { plan: { start, startDate: today, quitDate, curve } };
+}
+
+/**
+ * Describe a plan and the next few daily targets.
+ */
+function describePlan (plan, today) {
+  const lines = [
+    `減量計畫：從每天 ${plan.start} 支開始，${plan.quitDate} 戒菸（${CURVE_NAMES[plan.curve]}減量）。`,
+    `今日目標：${getTarget(plan, today)} 支。`
+  ];
+  const upcoming = [];
+  for (let i = 1; i <= 7; i++) {
+    const day = addDays(today, i);
+    upcoming.push(`${day.slice(5)} ${getTarget(plan, day)}`);
+  }
+  lines.push(`接下來 7 天：${upcoming.join('、')}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  getTarget,
+  parsePlan,
+  describePlan
+};
@@ -0,0 +1,52 @@
+// 📁 postback.js
+
+// Postback router. Rich menu taps and buttons send postback data encoded as
+// a query string whose `action` names a route, e.g. "action=adjust&amount=1".
+// Modules register a handler per action; the webhook hands every postback
+// event to handlePostback.
+
+const routes = new Map();
+
+/**
+ * Register the handler for a postback action. The handler is called with
+ * (event, client, params) where params is a plain object of the remaining
+ * query-string fields.
+ */
+function registerPostback (action, handler) {
+  routes.set(action, handler);
+}
+
+/**
+ * Encode an action and its parameters as postback data.
+ */
+function encodePostback (action, params = {}) {
+  return new URLSearchParams(Object.assign({ action }, params)).toString();
+}
+
+// Decode postback data into { action, params }.
+function decodePostback (data) {
+  const params = Object.fromEntries(new URLSearchParams(data || ''));
+  const { action, ...rest } = params;
+  return { action, params: rest };
+}
+
+/**
+ * Dispatch a postback event to its registered handler. Unknown actions get
+ * a short reply instead of being silently dropped.
+ */
+function handlePostback (event, client) {
+  const { action, params } = decodePostback(event.postback && event.postback.data);
+  const handler = routes.get(action);
+  if (!handler) {
+    console.warn(`未知的 postback 動作：${action}`);
+    return client.replyMessage(event.replyToken, { type: 'text', text: '這個按鈕目前沒有作用了，輸入 /說明 看看可用的指令吧。' });
+  }
+  return handler(event, client, params);
+}
+
+module.exports = {
+  registerPostback,
+  encodePostback,
+  decodePostback,
+  handlePostback
+};
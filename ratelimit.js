@@ -0,0 +1,66 @@
+// 📁 ratelimit.js
+
+// Fixed-window rate limiting for the HTTP endpoints, kept in memory. Each
+// client (by IP address) may make `max` requests per window; further
+// requests get 429 with a Retry-After header until the window resets.
+// Counts reset on restart, which is fine for a single small instance.
+// The web routers (/api, /dashboard, /download) share one limiter, so a
+// client's API_RATE_LIMIT requests a minute cover all of them.
+
+const RATE_LIMIT = parseInt(process.env.API_RATE_LIMIT || '60', 10);
+const RATE_WINDOW_MS = 60000;
+
+/**
+ * Create an Express middleware allowing `max` requests per `windowMs`
+ * milliseconds for each client. `onLimit(req, res, next)` answers rejected
+ * requests.
+ */
+function rateLimit ({ windowMs, max, onLimit }) {
+  const windows = new Map();
+
+  // Drop finished windows so that one-off clients do not pile up.
+  function prune (now) {
+    for (const [key, w] of windows) {
+      if (w.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  return (req, res, next) => {
+    const now = Date.now();
+    if (windows.size > 1000) prune(now);
+    const key = req.ip;
+    let w = windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      windows.set(key, w);
+    }
+    w.count++;
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, max - w.count)));
+    if (w.count > max) {
+      res.set('Retry-After', String(Math.ceil((w.resetAt - now) / 1000)));
+      return onLimit(req, res, next);
+    }
+    next();
+  };
+}
+
+/**
+ * The limiter shared by the web routers. A rejected request is passed on as
+ * an error with `status` 429, so each router's error handler answers it in
+ * its own format (JSON, a page or plain text).
+ */
+const webRateLimit = rateLimit({
+  windowMs: RATE_WINDOW_MS,
+  max: RATE_LIMIT,
+  onLimit: (req, res, next) => {
+    const err = new Error('請求太頻繁了');
+    err.status = 429;
+    next(err);
+  }
+});
+
+module.exports = {
+  rateLimit,
+  webRateLimit
+};
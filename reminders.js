@@ -0,0 +1,152 @@
+// 📁 reminders.js
+
+// Personal reminders, the weather push time and quiet hours, all managed
+// with /提醒 and kept in the user's settings:
+//   reminders:   [{ id, time: 'HH:MM', days: 'daily' | 'weekdays' | 'weekends', text }]
+//   weatherTime: 'HH:MM' or 'off' (unset means DEFAULT_WEATHER_TIME)
+//   quietHours:  { from: 'HH:MM', to: 'HH:MM' }
+// Reminders and the weather report are non-critical and are skipped during
+// quiet hours; the nightly summary and craving check-ins, which the user
+// asked for, always go out.
+
+const { parseTime, formatMinutes } = require('./dates');
+
+const DEFAULT_WEATHER_TIME = '06:30';
+
+// Most reminders one user can keep.
+const MAX_REMINDERS = 10;
+
+// Day sets a reminder can repeat on, with their node-schedule dayOfWeek.
+const DAY_SETS = {
+  daily: { name: '每天', dayOfWeek: null },
+  weekdays: { name: '平日', dayOfWeek: [1, 2, 3, 4, 5] },
+  weekends: { name: '假日', dayOfWeek: [0, 6] }
+};
+
+const DAY_SET_ALIASES = {
+  每天: 'daily',
+  天天: 'daily',
+  平日: 'weekdays',
+  工作日: 'weekdays',
+  假日: 'weekends',
+  週末: 'weekends'
+};
+
+// Normalise "9:00" to "09:00", or null if it is not a time of day.
+function normaliseTime (text) {
+  const minutes = parseTime(text);
+  return minutes == null ? null : formatMinutes(minutes);
+}
+
+/**
+ * Parse `/提醒 <HH:MM> [每天|平日|假日] [內容]` into a reminder without an id.
+ * Returns { reminder } or { error } with a message for the user.
+ */
+function parseReminder (args) {
+  const parts = args.trim().split(/\s+/);
+  const time = normaliseTime(parts[0]);
+  if (!time) {
+    return { error: '時間請用 HH:MM，例如「/提醒 21:00」或「/提醒 12:30 平日 午餐後別抽」。' };
+  }
+  let rest = parts.slice(1);
+  let days = 'daily';
+  if (rest.length && DAY_SET_ALIASES[rest[0]]) {
+    days = DAY_SET_ALIASES[rest[0]];
+    rest = rest.slice(1);
+  }
+  const text = rest.join(' ').slice(0, 100) || null;
+  return { reminder: { time, days, text } };
+}
+
+/**
+ * Parse quiet hours written as "23:00-07:00". Returns { quietHours } or
+ * { error }. The range may wrap past midnight.
+ */
+function parseQuietHours (args) {
+  const m = /^(\S+?)\s*[-~～到]\s*(\S+)$/.exec(args.trim());
+  const from = m && normaliseTime(m[1]);
+  const to = m && normaliseTime(m[2]);
+  if (!from || !to || from === to) {
+    return { error: '勿擾時段請寫成「/提醒 勿擾 23:00-07:00」，或「/提醒 勿擾 關閉」。' };
+  }
+  return { quietHours: { from, to } };
+}
+
+/**
+ * Whether `minutes` after local midnight falls inside the quiet hours.
+ */
+function isQuietTime (quietHours, minutes) {
+  if (!quietHours) return false;
+  const from = parseTime(quietHours.from);
+  const to = parseTime(quietHours.to);
+  return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+/**
+ * The time the weather report goes out, or null when it is switched off.
+ */
+function getWeatherTime (settings) {
+  if (settings.weatherTime === 'off') return null;
+  return settings.weatherTime || DEFAULT_WEATHER_TIME;
+}
+
+/**
+ * The node-schedule time of a reminder: { hour, minute, dayOfWeek }.
+ */
+function reminderSchedule (reminder) {
+  const minutes = parseTime(reminder.time);
+  return {
+    hour: Math.floor(minutes / 60),
+    minute: minutes % 60,
+    dayOfWeek: DAY_SETS[reminder.days].dayOfWeek
+  };
+}
+
+// Next free reminder id.
+function nextReminderId (reminders) {
+  return reminders.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+}
+
+/**
+ * Compose the /提醒 overview: weather time, quiet hours and the numbered
+ * list of reminders, followed by how to change them.
+ */
+function describeReminders (settings) {
+  const weather = getWeatherTime(settings);
+  const lines = [
+    `天氣預報：${weather ? `每天 ${weather}` : '已關閉'}`,
+    `勿擾時段：${settings.quietHours ? `${settings.quietHours.from}–${settings.quietHours.to}` : '未設定'}`
+  ];
+  const reminders = settings.reminders || [];
+  if (reminders.length) {
+    lines.push('', '你的提醒：');
+    reminders.forEach((r, i) => {
+      lines.push(`${i + 1}. ${DAY_SETS[r.days].name} ${r.time}　${r.text || '今天記錄了嗎？'}`);
+    });
+  } else {
+    lines.push('', '還沒有設定提醒。');
+  }
+  lines.push(
+    '',
+    '「/提醒 21:00」新增每天的記錄提醒',
+    '「/提醒 12:30 平日 午餐後別抽」只在平日提醒',
+    '「/提醒 刪除 1」刪除第 1 個提醒',
+    '「/提醒 天氣 07:00」或「/提醒 天氣 關閉」調整天氣預報',
+    '「/提醒 勿擾 23:00-07:00」或「/提醒 勿擾 關閉」'
+  );
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_WEATHER_TIME,
+  MAX_REMINDERS,
+  DAY_SETS,
+  normaliseTime,
+  parseReminder,
+  parseQuietHours,
+  isQuietTime,
+  getWeatherTime,
+  reminderSchedule,
+  nextReminderId,
+  describeReminders
+};
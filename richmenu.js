@@ -0,0 +1,148 @@
+// 📁 richmenu.js
+
+// Rich menu layout for the bot's main actions and a helper that uploads it.
+// The layout is a 3 × 2 grid of postback areas routed through postback.js.
+// uploadRichMenu only talks to the client it is given, so it can be run
+// offline against a stub client:
+//
+//   node richmenu.js path/to/menu.png       create, upload and set as default
+//   node richmenu.js --dry-run              print the calls without LINE
+
+const fs = require('fs');
+const { encodePostback } = require('./postback');
+
+const MENU_NAME = 'smoking-bot-main';
+const WIDTH = 2500;
+const HEIGHT = 1686;
+const COLUMNS = 3;
+const ROWS = 2;
+
+// Actions in reading order: first row left to right, then the second row.
+const BUTTONS = [
+  { label: '+1 支', data: encodePostback('adjust', { amount: 1 }), displayText: '+1' },
+  { label: '-1 支', data: encodePostback('adjust', { amount: -1 }), displayText: '-1' },
+  { label: '今日戰況', data: encodePostback('command', { text: '/查詢' }), displayText: '/查詢' },
+  { label: '歷史', data: encodePostback('command', { text: '/歷史' }), displayText: '/歷史' },
+  { label: '天氣', data: encodePostback('command', { text: '/天氣' }), displayText: '/天氣' },
+  { label: '說明', data: encodePostback('command', { text: '/說明' }), displayText: '/說明' }
+];
+
+/**
+ * Build the rich menu definition accepted by the Messaging API.
+ */
+function buildRichMenu () {
+  const cellWidth = Math.floor(WIDTH / COLUMNS);
+  const cellHeight = Math.floor(HEIGHT / ROWS);
+  return {
+    size: { width: WIDTH, height: HEIGHT },
+    selected: true,
+    name: MENU_NAME,
+    chatBarText: '悠悠選單',
+    areas: BUTTONS.map((button, i) => {
+      const col = i % COLUMNS;
+      const row = Math.floor(i / COLUMNS);
+      return {
+        bounds: {
+          x: col * cellWidth,
+          y: row * cellHeight,
+          // The last column and row absorb any rounding remainder.
+          width: col === COLUMNS - 1 ? WIDTH - col * cellWidth : cellWidth,
+          height: row === ROWS - 1 ? HEIGHT - row * cellHeight : cellHeight
+        },
+        action: { type: 'postback', label: button.label, data: button.data, displayText: button.displayText }
+      };
+    })
+  };
+}
+
+/**
+ * Check a rich menu definition against the Messaging API limits. Returns a
+ * list of problems; an empty list means the menu is valid.
+ */
+function validateRichMenu (menu) {
+  const problems = [];
+  const { width, height } = menu.size || {};
+  if (width !== 2500 || height < 250 || height > 1686) problems.push('size 必須是寬 2500、高 250–1686');
+  if (!menu.chatBarText || menu.chatBarText.length > 14) problems.push('chatBarText 必須是 1–14 個字');
+  if (!menu.areas || menu.areas.length === 0 || menu.areas.length > 20) problems.push('areas 必須有 1–20 個');
+  (menu.areas || []).forEach((area, i) => {
+    const b = area.bounds;
+    if (b.x < 0 || b.y < 0 || b.x + b.width > width || b.y + b.height > height) {
+      problems.push(`第 ${i + 1} 個區塊超出選單範圍`);
+    }
+    if (area.action.type === 'postback' && area.action.data.length > 300) {
+      problems.push(`第 ${i + 1} 個區塊的 postback data 超過 300 字`);
+    }
+    (menu.areas || []).slice(i + 1).forEach((other, j) => {
+      const o = other.bounds;
+      if (b.x < o.x + o.width && o.x < b.x + b.width && b.y < o.y + o.height && o.y < b.y + b.height) {
+        problems.push(`第 ${i + 1} 與第 ${i + j + 2} 個區塊重疊`);
+      }
+    });
+  });
+  return problems;
+}
+
+/**
+ * Create the rich menu, upload its image and make it the default for all
+ * users. Older menus with the same name are deleted first. Resolves to the
+ * new rich menu id.
+ */
+async function uploadRichMenu (client, image, contentType = 'image/png') {
+  const menu = buildRichMenu();
+  const problems = validateRichMenu(menu);
+  if (problems.length) throw new Error(`Rich menu 設定有誤：${problems.join('；')}`);
+  for (const existing of await client.getRichMenuList()) {
+    if (existing.name === MENU_NAME) await client.deleteRichMenu(existing.richMenuId);
+  }
+  const richMenuId = await client.createRichMenu(menu);
+  await client.setRichMenuImage(richMenuId, image, contentType);
+  await client.setDefaultRichMenu(richMenuId);
+  return richMenuId;
+}
+
+// Client stand-in that records calls instead of contacting LINE.
+function createDryRunClient (log = console.log) {
+  return {
+    getRichMenuList: async () => [],
+    deleteRichMenu: async id => log('deleteRichMenu', id),
+    createRichMenu: async menu => {
+      log('createRichMenu', JSON.stringify(menu, null, 2));
+      return 'richmenu-dry-run';
+    },
+    setRichMenuImage: async (id, image, type) => log('setRichMenuImage', id, type, `${image.length} bytes`),
+    setDefaultRichMenu: async id => log('setDefaultRichMenu', id)
+  };
+}
+
+module.exports = {
+  buildRichMenu,
+  validateRichMenu,
+  uploadRichMenu,
+  createDryRunClient
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const arg = process.argv[2];
+  let client;
+  let image;
+  if (arg === '--dry-run') {
+    client = createDryRunClient();
+    image = Buffer.alloc(0);
+  } else if (arg) {
+    const line = require('@line/bot-sdk');
+    client = new line.Client({ channelAccessToken: process.env.LINE_ACCESS_TOKEN });
+    image = fs.readFileSync(arg);
+  } else {
+    console.error('用法：node richmenu.js <選單圖片.png> 或 node richmenu.js --dry-run');
+    process.exit(1);
+  }
+  const contentType = arg.endsWith('.jpg') || arg.endsWith('.jpeg') ? 'image/jpeg' : 'image/png';
+  uploadRichMenu(client, image, contentType)
+    .then(id => console.log(`Rich menu 已設定：${id}`))
+    .catch(err => {
+      console.error('Rich menu 設定失敗', err);
+      process.exitCode = 1;
+    });
+}
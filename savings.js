@@ -0,0 +1,138 @@
+// 📁 savings.js
+
+// What cutting down is worth. Each day is compared with a baseline daily
+// count: the starting count of the taper plan when there is one, otherwise
+// the average of the user's first week of records. The difference is the
+// number of cigarettes avoided, which /菸價 turns into money through the
+// user's pack price. The price is stored in the user's settings as
+//   { packPrice, packSize }
+
+const { addDays } = require('./dates');
+
+// Cigarettes in a pack unless the user says otherwise.
+const DEFAULT_PACK_SIZE = 20;
+
+// Number of recorded days averaged into the baseline when there is no plan.
+const BASELINE_DAYS = 7;
+
+/**
+ * Work out the baseline daily count. `totals` maps days to totals and
+ * `lastCompleteDay` is the latest day that has ended. Returns
+ * { perDay, source } or null when there is nothing to compare against.
+ */
+function getBaseline (settings, totals, lastCompleteDay) {
+  if (settings.plan) {
+    return { perDay: settings.plan.start, source: '減量計畫的起始支數' };
+  }
+  const days = Object.keys(totals).sort();
+  if (!days.length || days[0] > lastCompleteDay) return null;
+  let sum = 0;
+  let count = 0;
+  for (let d = days[0]; d <= lastCompleteDay && count < BASELINE_DAYS; d = addDays(d, 1)) {
+    sum += totals[d] || 0;
+    count++;
+  }
+  // Nothing smoked in the first days leaves nothing to save against.
+  if (!sum) return null;
+  return { perDay: sum / count, source: `最初 ${count} 天的平均` };
+}
+
+/**
+ * Compare the days from `from` to `to` with the baseline. Days before the
+ * first record are skipped. Returns { days, smoked, avoided }; `avoided` is
+ * negative when the period went over the baseline.
+ */
+function computeSavings (totals, baseline, from, to) {
+  const recorded = Object.keys(totals).sort();
+  if (!recorded.length) return { days: 0, smoked: 0, avoided: 0 };
+  const start = recorded[0] > from ? recorded[0] : from;
+  let days = 0;
+  let smoked = 0;
+  for (let d = start; d <= to; d = addDays(d, 1)) {
+    days++;
+    smoked += totals[d] || 0;
+  }
+  return { days, smoked, avoided: Math.round(days * baseline.perDay - smoked) };
+}
+
+/**
+ * Money saved by `avoided` cigarettes, or null without a pack price.
+ */
+function moneyFor (avoided, settings) {
+  if (!settings.packPrice) return null;
+  return Math.round((avoided * settings.packPrice) / (settings.packSize || DEFAULT_PACK_SIZE));
+}
+
+/**
+ * Parse the arguments of `/菸價 <每包價格> [每包支數]`. Returns
+ * { packPrice, packSize } on success or { error } with a message for the user.
+ */
+function parsePrice (args) {
+  const parts = args.trim().split(/\s+/);
+  const packPrice = Number(parts[0]);
+  const packSize = parts[1] == null ? DEFAULT_PACK_SIZE : Number(parts[1]);
+  if (!(packPrice > 0) || packPrice > 10000) {
+    return { error: '每包價格要是正數，例如「/菸價 125」或「/菸價 125 20」。' };
+  }
+  if (!Number.isInteger(packSize) || packSize <= 0 || packSize > 100) {
+    return { error: '每包支數要是 1 到 100 的整數。' };
+  }
+  return { packPrice, packSize };
+}
+
+// "少抽 12 支，省下 75 元" or the overshoot when the period went over.
+function describeAvoided (avoided, money) {
+  if (avoided < 0) {
+    return `多抽了 ${-avoided} 支` + (money != null ? `，多花 ${-money} 元` : '');
+  }
+  return `少抽 ${avoided} 支` + (money != null ? `，省下 ${money} 元` : '');
+}
+
+/**
+ * Compose the /省錢 report for the last 7 and 30 completed days and all
+ * time. `lastCompleteDay` is the latest day that has ended.
+ */
+function composeSavingsReport (settings, totals, lastCompleteDay) {
+  const baseline = getBaseline(settings, totals, lastCompleteDay);
+  if (!baseline) {
+    return '還沒有可以比較的基準：需要至少一天有抽菸的完整紀錄，或用 /目標 設定減量計畫。';
+  }
+  const periods = [
+    ['最近 7 天', addDays(lastCompleteDay, -6)],
+    ['最近 30 天', addDays(lastCompleteDay, -29)],
+    ['累計', '0000-00-00']
+  ];
+  const lines = [`基準：每天 ${+baseline.perDay.toFixed(1)} 支（${baseline.source}）`];
+  for (const [label, from] of periods) {
+    const { avoided } = computeSavings(totals, baseline, from, lastCompleteDay);
+    lines.push(`${label}：${describeAvoided(avoided, moneyFor(avoided, settings))}`);
+  }
+  if (settings.packPrice) {
+    lines.push(`（一包 ${settings.packPrice} 元、${settings.packSize || DEFAULT_PACK_SIZE} 支）`);
+  } else {
+    lines.push('輸入「/菸價 125」設定每包價格，就能換算成省下的錢。');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * One line for the nightly summary: what `day` and the whole history saved
+ * compared with the baseline. Returns null when there is no baseline yet.
+ */
+function describeDaySavings (settings, totals, day) {
+  const baseline = getBaseline(settings, totals, day);
+  if (!baseline) return null;
+  const today = computeSavings(totals, baseline, day, day).avoided;
+  const total = computeSavings(totals, baseline, '0000-00-00', day).avoided;
+  return `今天${describeAvoided(today, moneyFor(today, settings))}；累計${describeAvoided(total, moneyFor(total, settings))}。`;
+}
+
+module.exports = {
+  DEFAULT_PACK_SIZE,
+  getBaseline,
+  computeSavings,
+  moneyFor,
+  parsePrice,
+  composeSavingsReport,
+  describeDaySavings
+};
@@ -0,0 +1,78 @@
+// 📁 scheduler.js
+
+// Registry of per-user node-schedule jobs. Each user can own several named
+// jobs (for example the nightly summary and the morning weather push) that
+// run in the user's own timezone, or one-off jobs at a given moment (such
+// as craving check-ins). Re-registering a name replaces the old job so
+// settings changes take effect immediately.
+
+const schedule = require('node-schedule');
+
+// userId -> Map(jobName -> Job)
+const userJobs = new Map();
+
+/**
+ * Register (or replace) a named job for a user. `when` is either a Date for
+ * a one-off job, which is forgotten once it has run, or an object with
+ * hour, minute, optional dayOfWeek (array of 0–6) and tz for a daily job.
+ */
+function scheduleUserJob (userId, name, when, task) {
+  cancelUserJob(userId, name);
+  const once = when instanceof Date;
+  let rule = when;
+  if (!once) {
+    rule = new schedule.RecurrenceRule();
+    rule.hour = when.hour;
+    rule.minute = when.minute;
+    if (when.dayOfWeek) rule.dayOfWeek = when.dayOfWeek;
+    rule.tz = when.tz;
+  }
+  const job = schedule.scheduleJob(rule, async () => {
+    if (once) forgetUserJob(userId, name, job);
+    try {
+      await task();
+    } catch (err) {
+      console.error(`排程工作失敗：${userId} ${name}`, err);
+    }
+  });
+  // node-schedule returns null for a moment that has already passed.
+  if (!job) return null;
+  if (!userJobs.has(userId)) userJobs.set(userId, new Map());
+  userJobs.get(userId).set(name, job);
+  return job;
+}
+
+// Drop a finished one-off job from the registry unless it was replaced.
+function forgetUserJob (userId, name, job) {
+  const jobs = userJobs.get(userId);
+  if (jobs && jobs.get(name) === job) jobs.delete(name);
+}
+
+// Cancel a single named job for a user, if present.
+function cancelUserJob (userId, name) {
+  const jobs = userJobs.get(userId);
+  if (!jobs || !jobs.has(name)) return;
+  jobs.get(name).cancel();
+  jobs.delete(name);
+}
+
+// Cancel every job owned by a user.
+function cancelUserJobs (userId) {
+  const jobs = userJobs.get(userId);
+  if (!jobs) return;
+  for (const job of jobs.values()) job.cancel();
+  userJobs.delete(userId);
+}
+
+// List the job names currently registered for a user.
+function listUserJobs (userId) {
+  const jobs = userJobs.get(userId);
+  return jobs ? [...jobs.keys()] : [];
+}
+
+module.exports = {
+  scheduleUserJob,
+  cancelUserJob,
+  cancelUserJobs,
+  listUserJobs
+};
@@ -0,0 +1,122 @@
+// 📁 store-json.js
+
+// JSON file storage backend. The whole document is kept in memory and every
+// change is written to a temporary file that is then renamed over the data
+// file, so a crash mid-write never leaves a truncated data.json behind.
+// Legacy layouts found on disk are converted on first load; the original is
+// kept next to it as data.json.bak, and a file that cannot be converted
+// stops the bot instead of being overwritten.
+
+const fs = require('fs');
+const { createKeyedMutex } = require('./store');
+const { convertLegacyData } = require('./migrate');
+
+const VERSION = 2;
+
+// Keep only the requested day range (inclusive, YYYY-MM-DD keys).
+function inRange (day, { from, to } = {}) {
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+class JsonStore {
+  constructor ({ file }) {
+    this.file = file;
+    this.doc = null;
+    this.withLock = createKeyedMutex();
+  }
+
+  init () {
+    if (!fs.existsSync(this.file)) {
+      this.doc = this.emptyDoc();
+      this.flush();
+      return;
+    }
+    const raw = JSON.parse(fs.readFileSync(this.file));
+    if (raw.version === VERSION) {
+      this.doc = raw;
+      return;
+    }
+    // Convert older data.json layouts in place. convertLegacyData throws on
+    // data it cannot place, before anything is written.
+    const converted = convertLegacyData(raw);
+    fs.copyFileSync(this.file, `${this.file}.bak`);
+    this.doc = this.emptyDoc();
+    for (const { user, events, settings } of converted) {
+      const { id, ...rest } = user;
+      this.doc.users[id] = rest;
+      this.doc.events[id] = events.map(e => Object.assign({ id: this.doc.nextEventId++ }, e));
+      if (Object.keys(settings).length) this.doc.settings[id] = settings;
+    }
+    this.flush();
+  }
+
+  close () {}
+
+  emptyDoc () {
+    return { version: VERSION, nextEventId: 1, users: {}, events: {}, settings: {} };
+  }
+
+  // Write the document atomically: temp file first, then rename.
+  flush () {
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.doc, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  async getUser (id) {
+    const record = this.doc.users[id];
+    return record ? Object.assign({ id }, record) : null;
+  }
+
+  async saveUser (user) {
+    const { id, ...rest } = user;
+    if (!rest.createdAt) rest.createdAt = new Date().toISOString();
+    this.doc.users[id] = rest;
+    this.flush();
+    return Object.assign({ id }, rest);
+  }
+
+  async listUsers () {
+    return Object.keys(this.doc.users);
+  }
+
+  async addEvent (userId, event) {
+    const stored = Object.assign({ id: this.doc.nextEventId++ }, event);
+    if (!this.doc.events[userId]) this.doc.events[userId] = [];
+    this.doc.events[userId].push(stored);
+    this.flush();
+    return Object.assign({}, stored);
+  }
+
+  async listEvents (userId, range) {
+    return (this.doc.events[userId] || [])
+      .filter(e => inRange(e.day, range))
+      .map(e => Object.assign({}, e));
+  }
+
+  async getDailyTotals (userId, range) {
+    const totals = {};
+    for (const e of this.doc.events[userId] || []) {
+      if (!inRange(e.day, range)) continue;
+      totals[e.day] = (totals[e.day] || 0) + e.amount;
+    }
+    return totals;
+  }
+
+  async getSettings (scope) {
+    return Object.assign({}, this.doc.settings[scope]);
+  }
+
+  async updateSettings (scope, patch) {
+    const settings = Object.assign({}, this.doc.settings[scope]);
+    for (const [key, value] of Object.entries(patch)) {
+      if (value == null) delete settings[key];
+      else settings[key] = value;
+    }
+    this.doc.settings[scope] = settings;
+    this.flush();
+    return Object.assign({}, settings);
+  }
+}
+
+module.exports = JsonStore;
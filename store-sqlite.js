@@ -0,0 +1,157 @@
+// 📁 store-sqlite.js
+
+// Embedded SQLite storage backend built on better-sqlite3. Users keep their
+// free-form state as a JSON column, events are one row each and settings are
+// stored as JSON values per (scope, key). better-sqlite3 is synchronous, so
+// every statement is atomic; the keyed mutex still serialises the
+// read-modify-write sequences in the handlers.
+
+const { createKeyedMutex } = require('./store');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    ts TEXT NOT NULL,
+    day TEXT NOT NULL,
+    amount INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    meta TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX IF NOT EXISTS events_user_day ON events (user_id, day);
+  CREATE TABLE IF NOT EXISTS settings (
+    scope TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (scope, key)
+  );
+`;
+
+// Columns of the events table; every other event field goes into `meta`.
+const EVENT_COLUMNS = ['id', 'ts', 'day', 'amount', 'type'];
+
+// Build the WHERE fragment and parameters for an optional day range.
+function rangeClause ({ from, to } = {}) {
+  let sql = '';
+  const params = [];
+  if (from) {
+    sql += ' AND day >= ?';
+    params.push(from);
+  }
+  if (to) {
+    sql += ' AND day <= ?';
+    params.push(to);
+  }
+  return { sql, params };
+}
+
+function rowToEvent (row) {
+  const { id, ts, day, amount, type } = row;
+  return Object.assign({}, JSON.parse(row.meta), { id, ts, day, amount, type });
+}
+
+class SqliteStore {
+  constructor ({ file }) {
+    this.file = file;
+    this.db = null;
+    this.withLock = createKeyedMutex();
+  }
+
+  init () {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error('STORAGE_DRIVER=sqlite 需要安裝 better-sqlite3（npm install better-sqlite3）');
+    }
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+  }
+
+  close () {
+    if (this.db) this.db.close();
+    this.db = null;
+  }
+
+  async getUser (id) {
+    const row = this.db.prepare('SELECT id, created_at, data FROM users WHERE id = ?').get(id);
+    if (!row) return null;
+    return Object.assign({ id: row.id, createdAt: row.created_at }, JSON.parse(row.data));
+  }
+
+  async saveUser (user) {
+    const { id, createdAt, ...rest } = user;
+    const created = createdAt || new Date().toISOString();
+    this.db
+      .prepare(
+        `INSERT INTO users (id, created_at, data) VALUES (?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET data = excluded.data`
+      )
+      .run(id, created, JSON.stringify(rest));
+    return Object.assign({ id, createdAt: created }, rest);
+  }
+
+  async listUsers () {
+    return this.db.prepare('SELECT id FROM users ORDER BY created_at').all().map(r => r.id);
+  }
+
+  async addEvent (userId, event) {
+    const meta = {};
+    for (const [key, value] of Object.entries(event)) {
+      if (!EVENT_COLUMNS.includes(key)) meta[key] = value;
+    }
+    const info = this.db
+      .prepare('INSERT INTO events (user_id, ts, day, amount, type, meta) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(userId, event.ts, event.day, event.amount, event.type, JSON.stringify(meta));
+    return Object.assign({}, event, { id: Number(info.lastInsertRowid) });
+  }
+
+  async listEvents (userId, range) {
+    const { sql, params } = rangeClause(range);
+    return this.db
+      .prepare(`SELECT * FROM events WHERE user_id = ?${sql} ORDER BY id`)
+      .all(userId, ...params)
+      .map(rowToEvent);
+  }
+
+  async getDailyTotals (userId, range) {
+    const { sql, params } = rangeClause(range);
+    const totals = {};
+    const rows = this.db
+      .prepare(`SELECT day, SUM(amount) AS total FROM events WHERE user_id = ?${sql} GROUP BY day`)
+      .all(userId, ...params);
+    for (const row of rows) totals[row.day] = row.total;
+    return totals;
+  }
+
+  async getSettings (scope) {
+    const settings = {};
+    for (const row of this.db.prepare('SELECT key, value FROM settings WHERE scope = ?').all(scope)) {
+      settings[row.key] = JSON.parse(row.value);
+    }
+    return settings;
+  }
+
+  async updateSettings (scope, patch) {
+    const upsert = this.db.prepare(
+      `INSERT INTO settings (scope, key, value) VALUES (?, ?, ?)
+       ON CONFLICT (scope, key) DO UPDATE SET value = excluded.value`
+    );
+    const remove = this.db.prepare('DELETE FROM settings WHERE scope = ? AND key = ?');
+    this.db.transaction(() => {
+      for (const [key, value] of Object.entries(patch)) {
+        if (value == null) remove.run(scope, key);
+        else upsert.run(scope, key, JSON.stringify(value));
+      }
+    })();
+    return this.getSettings(scope);
+  }
+}
+
+module.exports = SqliteStore;
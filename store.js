@@ -0,0 +1,73 @@
+// 📁 store.js
+
+// Storage backend selection. Every backend implements the same asynchronous
+// interface for users, the smoking event log and scoped settings:
+//
+//   init() / close()                  (synchronous)
+//   getUser(id) -> user | null        user = { id, createdAt, ...state }
+//   saveUser(user) -> user
+//   listUsers() -> [id]
+//   addEvent(userId, event) -> event  event = { id, ts, day, amount, type, ... }
+//   listEvents(userId, { from, to }) -> [event]   (day keys, inclusive)
+//   getDailyTotals(userId, { from, to }) -> { day: total }
+//   getSettings(scope) -> object      scope is usually a userId
+//   updateSettings(scope, patch) -> object   (null values delete keys)
+//   withLock(key, fn) -> result of fn, run exclusively per key
+//
+// STORAGE_DRIVER selects the backend: "json" (default, DATA_FILE, atomic
+// writes) or "sqlite" (SQLITE_FILE, requires better-sqlite3).
+
+let instance = null;
+
+/**
+ * Create a keyed mutex. Tasks sharing a key run one after another in the
+ * order they were queued; tasks for different keys run independently.
+ */
+function createKeyedMutex () {
+  const tails = new Map();
+  return function withLock (key, fn) {
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return run;
+  };
+}
+
+/**
+ * Build a store for the given driver name without initialising it.
+ */
+function createStore (driver = process.env.STORAGE_DRIVER || 'json') {
+  switch (driver) {
+    case 'json': {
+      const JsonStore = require('./store-json');
+      return new JsonStore({ file: process.env.DATA_FILE || './data.json' });
+    }
+    case 'sqlite': {
+      const SqliteStore = require('./store-sqlite');
+      return new SqliteStore({ file: process.env.SQLITE_FILE || './data.sqlite' });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+}
+
+/**
+ * Return the process-wide store, creating and initialising it on first use.
+ */
+function getStore () {
+  if (!instance) {
+    instance = createStore();
+    instance.init();
+  }
+  return instance;
+}
+
+module.exports = {
+  createKeyedMutex,
+  createStore,
+  getStore
+};
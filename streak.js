@@ -0,0 +1,72 @@
+// 📁 streak.js
+
+// Judging days for the streak. Every summarised day gets a result entry on
+// the user record ({ day, success, streak }) so that editing a past day can
+// re-judge just the days from that point on and keep the streak (and the
+// achievements built on it) consistent with the corrected history.
+
+const { addDays } = require('./dates');
+const { getTarget } = require('./plan');
+
+/**
+ * Decide whether a day counts toward the streak. With a taper plan the day
+ * succeeds when it stays within its target; without one it must beat
+ * yesterday.
+ */
+function isSuccessfulDay (today, yesterday, target) {
+  if (target != null) return today <= target;
+  return today < yesterday;
+}
+
+/**
+ * Judge a single day given the daily totals, the plan and the streak before
+ * the day. Returns the result entry.
+ */
+function judgeDay (totals, plan, day, previousStreak) {
+  const today = totals[day] || 0;
+  const yesterday = totals[addDays(day, -1)] || 0;
+  const success = isSuccessfulDay(today, yesterday, getTarget(plan, day));
+  const streak = success ? previousStreak + 1 : 0;
+  return { day, success, streak };
+}
+
+/**
+ * Re-judge every summarised day from `fromDay` up to `user.lastSummary`
+ * using corrected totals, replacing their result entries and the current
+ * streak on `user`. Days before the first summary were never judged and
+ * stay that way, unless `backfill` is set (imported history), in which case
+ * judging starts at `fromDay`; a user who has not had a summary yet is then
+ * judged up to `until` (yesterday), which becomes their lastSummary.
+ * Returns { before, after, changedDays } describing the streak change and
+ * the days whose outcome flipped.
+ */
+function rejudgeFrom (user, totals, plan, fromDay, { backfill = false, until = null } = {}) {
+  const before = user.streak;
+  const previous = user.results || [];
+  const changedDays = [];
+  const last = user.lastSummary || (backfill ? until : null);
+  if (!last || (!previous.length && !backfill) || fromDay > last) {
+    return { before, after: before, changedDays };
+  }
+  const first = previous.length ? previous[0].day : last;
+  const start = backfill || fromDay > first ? fromDay : first;
+  const results = previous.filter(r => r.day < start);
+  let streak = results.length ? results[results.length - 1].streak : 0;
+  for (let day = start; day <= last; day = addDays(day, 1)) {
+    const result = judgeDay(totals, plan, day, streak);
+    const old = previous.find(r => r.day === day);
+    if (old && old.success !== result.success) changedDays.push(day);
+    results.push(result);
+    streak = result.streak;
+  }
+  user.results = results;
+  user.streak = streak;
+  user.lastSummary = last;
+  return { before, after: streak, changedDays };
+}
+
+module.exports = {
+  isSuccessfulDay,
+  judgeDay,
+  rejudgeFrom
+};
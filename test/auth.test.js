@@ -0,0 +1,87 @@
+// 📁 test/auth.test.js
+
+// API tokens, dashboard login codes and the web rate limiter. Tokens live
+// in a throwaway JSON store; the clock is moved with a mocked Date.now.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smokebot-auth-'));
+process.env.DATA_FILE = path.join(dir, 'data.json');
+process.env.STORAGE_DRIVER = 'json';
+
+const { issueToken, revokeTokens, verifyToken, createLoginCode, redeemLoginCode, LOGIN_CODE_MINUTES } = require('../auth');
+const { rateLimit } = require('../ratelimit');
+
+const DAY_MS = 86400000;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a token works until it expires', async t => {
+  const { token, expiresAt } = await issueToken('U-expiry');
+  assert.deepStrictEqual(await verifyToken(token), { userId: 'U-expiry', admin: false });
+  const expiry = Date.parse(expiresAt);
+  t.mock.method(Date, 'now', () => expiry - 1);
+  assert.ok(await verifyToken(token));
+  Date.now.mock.mockImplementation(() => expiry);
+  assert.strictEqual(await verifyToken(token), null);
+});
+
+test('a new token or a logout revokes the old one', async () => {
+  const first = await issueToken('U-revoke');
+  const second = await issueToken('U-revoke');
+  assert.strictEqual(await verifyToken(first.token), null);
+  assert.ok(await verifyToken(second.token));
+  assert.strictEqual(await revokeTokens('U-revoke'), 1);
+  assert.strictEqual(await verifyToken(second.token), null);
+  assert.strictEqual(await verifyToken('not-a-token'), null);
+});
+
+test('a login code works once and only before it expires', t => {
+  const code = createLoginCode('token-a');
+  assert.strictEqual(redeemLoginCode(code), 'token-a');
+  assert.strictEqual(redeemLoginCode(code), null);
+
+  const now = Date.now();
+  const late = createLoginCode('token-b');
+  t.mock.method(Date, 'now', () => now + LOGIN_CODE_MINUTES * 60000 + DAY_MS);
+  assert.strictEqual(redeemLoginCode(late), null);
+});
+
+// Send a request from `ip` through a limiter; resolves to 'next' or 'limited'.
+function hit (limiter, ip) {
+  const headers = {};
+  const res = { set: (name, value) => { headers[name] = value; } };
+  let outcome;
+  limiter({ ip }, res, () => { outcome = 'next'; });
+  return { outcome: outcome || 'limited', headers };
+}
+
+test('the rate limiter allows `max` requests per window and client', t => {
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+  const limiter = rateLimit({ windowMs: 60000, max: 2, onLimit: (req, res) => {} });
+
+  assert.strictEqual(hit(limiter, '10.0.0.1').outcome, 'next');
+  assert.strictEqual(hit(limiter, '10.0.0.1').headers['X-RateLimit-Remaining'], '0');
+  const limited = hit(limiter, '10.0.0.1');
+  assert.strictEqual(limited.outcome, 'limited');
+  assert.strictEqual(limited.headers['Retry-After'], '60');
+  // Other clients have their own window.
+  assert.strictEqual(hit(limiter, '10.0.0.2').outcome, 'next');
+
+  now += 30000;
+  assert.strictEqual(hit(limiter, '10.0.0.1').headers['Retry-After'], '30');
+  now += 30000;
+  assert.strictEqual(hit(limiter, '10.0.0.1').outcome, 'next');
+});
+
+test('a rejected request reaches onLimit with next', () => {
+  const calls = [];
+  const limiter = rateLimit({ windowMs: 60000, max: 0, onLimit: (req, res, next) => calls.push(typeof next) });
+  hit(limiter, '10.0.0.3');
+  assert.deepStrictEqual(calls, ['function']);
+});
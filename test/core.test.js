@@ -0,0 +1,124 @@
+// 📁 test/core.test.js
+
+// The transport-free core: translating messages in and out, and one scripted
+// conversation through the terminal adapter against a throwaway JSON store.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smokebot-core-'));
+process.env.DATA_FILE = path.join(dir, 'data.json');
+process.env.STORAGE_DRIVER = 'json';
+
+const schedule = require('node-schedule');
+const { toEvent, toNeutral } = require('../core');
+const { runConsole } = require('../channel-console');
+
+// Registering a user schedules their pushes, which would keep the test alive.
+test.after(async () => {
+  await schedule.gracefulShutdown();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('incoming messages become webhook-style events', () => {
+  assert.deepStrictEqual(toEvent({ type: 'text', userId: 'U1', text: '+1' }), {
+    type: 'message',
+    replyToken: 'core',
+    source: { type: 'user', userId: 'U1' },
+    message: { type: 'text', text: '+1' }
+  });
+  assert.deepStrictEqual(toEvent({ type: 'postback', userId: 'U1', groupId: 'G1', data: 'a=1' }), {
+    type: 'postback',
+    replyToken: 'core',
+    source: { type: 'group', groupId: 'G1', userId: 'U1' },
+    postback: { data: 'a=1' }
+  });
+  const file = toEvent({ type: 'file', userId: 'U1', roomId: 'R1', file: { id: 'f', name: 'a.csv', size: 3 } });
+  assert.deepStrictEqual(file.source, { type: 'room', roomId: 'R1', userId: 'U1' });
+  assert.deepStrictEqual(file.message, { type: 'file', id: 'f', fileName: 'a.csv', fileSize: 3 });
+  assert.deepStrictEqual(toEvent({ type: 'memberLeft', groupId: 'G1', left: ['U2'] }).left, {
+    members: [{ type: 'user', userId: 'U2' }]
+  });
+});
+
+test('malformed incoming messages are rejected', () => {
+  assert.throws(() => toEvent({ type: 'sticker', userId: 'U1' }), /未知的訊息類型/);
+  assert.throws(() => toEvent({ type: 'text', text: 'hi' }), /缺少 userId/);
+});
+
+test('outgoing messages become neutral messages', () => {
+  assert.deepStrictEqual(toNeutral('hi'), { type: 'text', text: 'hi' });
+  assert.deepStrictEqual(toNeutral({
+    type: 'text',
+    text: 'pick',
+    quickReply: {
+      items: [
+        { type: 'action', action: { type: 'postback', label: 'Yes', data: 'ok=1', displayText: '好' } },
+        { type: 'action', action: { type: 'message', label: 'Help', text: '/說明' } },
+        { type: 'action', action: { type: 'uri', label: 'Site', uri: 'https://example.com' } }
+      ]
+    }
+  }), {
+    type: 'text',
+    text: 'pick',
+    quickReplies: [
+      { label: 'Yes', postback: 'ok=1', text: '好' },
+      { label: 'Help', text: '/說明' }
+    ]
+  });
+  const flex = {
+    type: 'bubble',
+    body: { type: 'box', contents: [{ type: 'text', text: 'body' }] },
+    footer: { type: 'box', contents: [{ type: 'button', action: { type: 'postback', label: 'Go', data: 'go=1' } }] }
+  };
+  assert.deepStrictEqual(toNeutral({ type: 'flex', altText: 'card', contents: flex }), {
+    type: 'card',
+    text: 'card',
+    flex,
+    buttons: [{ label: 'Go', postback: 'go=1' }]
+  });
+  assert.deepStrictEqual(toNeutral({ type: 'image', originalContentUrl: 'https://example.com/a.png' }), {
+    type: 'image',
+    url: 'https://example.com/a.png'
+  });
+  assert.throws(() => toNeutral({ type: 'video' }), /無法轉換/);
+});
+
+test('a scripted console conversation', async () => {
+  const lines = [
+    '+1 咖啡',
+    '/想抽',
+    '#1',
+    ':group g1',
+    '/加入 匿名',
+    '+1',
+    ':bogus',
+    ':quit',
+    '/查詢'
+  ];
+  let transcript = '';
+  const output = new Writable({
+    write (chunk, encoding, done) {
+      transcript += chunk;
+      done();
+    }
+  });
+  await runConsole({ input: Readable.from(lines.map(line => `${line}\n`)), output, userId: 'console-test' });
+
+  assert.match(transcript, /> \+1 咖啡\n {2}今天第 1 支菸。/);
+  // Tapping #1 answers the craving check-in shown with the /想抽 reply.
+  assert.match(transcript, /\[#1 撐過了\]/);
+  assert.match(transcript, /> 撐過了\n/);
+  assert.match(transcript, /歡迎 匿名夥伴 A 加入/);
+  // An anonymous member's group log is pushed privately before the group's acknowledgement.
+  const push = transcript.indexOf('（推播給 console-test）\n  今天第 2 支菸。');
+  assert.ok(push > 0, 'the private push is printed');
+  assert.ok(transcript.indexOf('記下了 ✅', push) > push, 'the acknowledgement comes after the push');
+  assert.match(transcript, /不認識的指令：:bogus/);
+  // Nothing after :quit is handled.
+  assert.doesNotMatch(transcript, /\/查詢/);
+});
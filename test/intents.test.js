@@ -0,0 +1,36 @@
+// 📁 test/intents.test.js
+
+// Runs the phrase corpus through the intent parser. Add a line to
+// intents.corpus.json for every phrase that is misread in the wild.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseIntent, parseChineseNumber } = require('../intents');
+const corpus = require('./intents.corpus.json');
+
+test('Chinese numerals', () => {
+  const cases = { 一: 1, 兩: 2, 十: 10, 十二: 12, 二十: 20, 廿三: 23, 三十五: 35, 九十九: 99, 12: 12 };
+  for (const [text, value] of Object.entries(cases)) {
+    assert.strictEqual(parseChineseNumber(text), value, text);
+  }
+  for (const text of ['二三', '十十', '百', '']) {
+    assert.strictEqual(parseChineseNumber(text), null, text);
+  }
+});
+
+test('pack size converts 半包 and 一包', () => {
+  assert.strictEqual(parseIntent('抽了半包', { packSize: 10 }).amount, 5);
+  assert.strictEqual(parseIntent('抽了一包', { packSize: 10 }).amount, 10);
+});
+
+for (const { text, expect } of corpus) {
+  test(`corpus: ${text}`, () => {
+    const intent = parseIntent(text);
+    if (expect === null) return assert.strictEqual(intent, null);
+    assert.ok(intent, 'should be recognised');
+    assert.deepStrictEqual(
+      { amount: intent.amount, dayOffset: intent.dayOffset, period: intent.period && intent.period.name, unsure: intent.unsure },
+      expect
+    );
+  });
+}
@@ -0,0 +1,51 @@
+// 📁 test/richmenu.test.js
+
+// Runs the rich menu setup against a stub client and checks the calls it
+// makes to the Messaging API, in order.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildRichMenu, validateRichMenu, uploadRichMenu } = require('../richmenu');
+
+// A client that records every call and starts with the given menus.
+function stubClient (existing = []) {
+  const calls = [];
+  return {
+    calls,
+    getRichMenuList: async () => existing,
+    deleteRichMenu: async id => calls.push(['deleteRichMenu', id]),
+    createRichMenu: async menu => {
+      calls.push(['createRichMenu', menu]);
+      return 'richmenu-new';
+    },
+    setRichMenuImage: async (id, image, type) => calls.push(['setRichMenuImage', id, image, type]),
+    setDefaultRichMenu: async id => calls.push(['setDefaultRichMenu', id])
+  };
+}
+
+test('the menu is within the Messaging API limits', () => {
+  assert.deepStrictEqual(validateRichMenu(buildRichMenu()), []);
+});
+
+test('setup creates the menu, uploads its image and makes it the default', async () => {
+  const client = stubClient();
+  const image = Buffer.from('png');
+  const id = await uploadRichMenu(client, image, 'image/png');
+  assert.strictEqual(id, 'richmenu-new');
+  assert.deepStrictEqual(client.calls.map(call => call[0]), ['createRichMenu', 'setRichMenuImage', 'setDefaultRichMenu']);
+  assert.deepStrictEqual(client.calls[0][1], buildRichMenu());
+  assert.deepStrictEqual(client.calls[1], ['setRichMenuImage', 'richmenu-new', image, 'image/png']);
+  assert.deepStrictEqual(client.calls[2], ['setDefaultRichMenu', 'richmenu-new']);
+});
+
+test('setup replaces older menus with the same name only', async () => {
+  const { name } = buildRichMenu();
+  const client = stubClient([
+    { richMenuId: 'richmenu-old', name },
+    { richMenuId: 'richmenu-other', name: 'campaign' }
+  ]);
+  await uploadRichMenu(client, Buffer.alloc(0), 'image/jpeg');
+  assert.deepStrictEqual(client.calls[0], ['deleteRichMenu', 'richmenu-old']);
+  assert.ok(!client.calls.some(call => call[1] === 'richmenu-other'));
+  assert.deepStrictEqual(client.calls[2].slice(1), ['richmenu-new', Buffer.alloc(0), 'image/jpeg']);
+});
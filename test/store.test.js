@@ -0,0 +1,125 @@
+// 📁 test/store.test.js
+
+// The storage layer: the keyed mutex, the JSON backend's atomic writes and
+// legacy conversion, and the interface both backends share. Every store
+// lives in a throwaway directory.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createKeyedMutex } = require('../store');
+const JsonStore = require('../store-json');
+const SqliteStore = require('../store-sqlite');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smokebot-store-'));
+let files = 0;
+const tempFile = ext => path.join(dir, `store-${++files}.${ext}`);
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('tasks with the same key run one at a time, in order', async () => {
+  const withLock = createKeyedMutex();
+  const log = [];
+  const task = (name, key) => withLock(key, async () => {
+    log.push(`${name} start`);
+    await tick();
+    log.push(`${name} end`);
+    return name;
+  });
+  const results = await Promise.all([task('a', 'U1'), task('b', 'U1'), task('c', 'U2')]);
+  assert.deepStrictEqual(results, ['a', 'b', 'c']);
+  // b waits for a to finish; c has its own key and does not wait for a.
+  assert.ok(log.indexOf('b start') > log.indexOf('a end'));
+  assert.ok(log.indexOf('c start') < log.indexOf('a end'));
+});
+
+test('a failing task does not block the next one', async () => {
+  const withLock = createKeyedMutex();
+  await assert.rejects(withLock('U1', async () => { throw new Error('boom'); }), /boom/);
+  assert.strictEqual(await withLock('U1', async () => 'next'), 'next');
+});
+
+test('a failed write leaves the previous data file intact', async t => {
+  const file = tempFile('json');
+  const store = new JsonStore({ file });
+  store.init();
+  await store.saveUser({ id: 'U1', streak: 1 });
+  const before = fs.readFileSync(file, 'utf8');
+
+  t.mock.method(fs, 'renameSync', () => { throw new Error('disk full'); });
+  await assert.rejects(store.saveUser({ id: 'U1', streak: 2 }), /disk full/);
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), before);
+  fs.renameSync.mock.restore();
+
+  await store.saveUser({ id: 'U1', streak: 3 });
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).users.U1.streak, 3);
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(f => f.endsWith('.tmp')), []);
+});
+
+test('a legacy counter is converted for USER_ID and backed up', async () => {
+  const file = tempFile('json');
+  const legacy = JSON.stringify({ date: '2026-10-19', today: 3, yesterday: 5, streak: 2 });
+  fs.writeFileSync(file, legacy);
+  process.env.USER_ID = 'U-legacy';
+  try {
+    const store = new JsonStore({ file });
+    store.init();
+    assert.strictEqual((await store.getUser('U-legacy')).streak, 2);
+    assert.deepStrictEqual(await store.getDailyTotals('U-legacy'), { '2026-10-18': 5, '2026-10-19': 3 });
+  } finally {
+    delete process.env.USER_ID;
+  }
+  assert.strictEqual(fs.readFileSync(`${file}.bak`, 'utf8'), legacy);
+});
+
+test('a legacy counter without USER_ID is left untouched', () => {
+  const file = tempFile('json');
+  const legacy = JSON.stringify({ today: 3, yesterday: 5, streak: 2 });
+  fs.writeFileSync(file, legacy);
+  assert.throws(() => new JsonStore({ file }).init(), /USER_ID/);
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), legacy);
+
+  // An untouched counter has nothing to lose and starts an empty store.
+  const empty = tempFile('json');
+  fs.writeFileSync(empty, JSON.stringify({ today: 0, yesterday: 0, streak: 0 }));
+  const store = new JsonStore({ file: empty });
+  store.init();
+  assert.strictEqual(JSON.parse(fs.readFileSync(empty, 'utf8')).version, 2);
+});
+
+// The interface every backend implements (see store.js).
+for (const [name, create] of [
+  ['json', () => new JsonStore({ file: tempFile('json') })],
+  ['sqlite', () => new SqliteStore({ file: tempFile('sqlite') })]
+]) {
+  test(`${name} backend: users, events, totals and settings`, async () => {
+    const store = create();
+    store.init();
+    try {
+      assert.strictEqual(await store.getUser('U1'), null);
+      const saved = await store.saveUser({ id: 'U1', streak: 4 });
+      assert.ok(saved.createdAt);
+      assert.deepStrictEqual(await store.getUser('U1'), saved);
+      assert.deepStrictEqual(await store.listUsers(), ['U1']);
+
+      const first = await store.addEvent('U1', { ts: '2026-10-18T09:00:00.000Z', day: '2026-10-18', amount: 2, type: 'adjust', tags: ['咖啡'] });
+      const second = await store.addEvent('U1', { ts: '2026-10-19T09:00:00.000Z', day: '2026-10-19', amount: 1, type: 'adjust' });
+      await store.addEvent('U1', { ts: '2026-10-19T10:00:00.000Z', day: '2026-10-19', amount: -1, type: 'adjust' });
+      assert.ok(second.id > first.id);
+      assert.deepStrictEqual((await store.listEvents('U1', { to: '2026-10-18' })).map(e => e.tags), [['咖啡']]);
+      assert.deepStrictEqual(await store.getDailyTotals('U1'), { '2026-10-18': 2, '2026-10-19': 0 });
+      assert.deepStrictEqual(await store.getDailyTotals('U1', { from: '2026-10-19' }), { '2026-10-19': 0 });
+      assert.deepStrictEqual(await store.listEvents('U2'), []);
+
+      assert.deepStrictEqual(await store.updateSettings('U1', { locale: 'en', price: 125 }), { locale: 'en', price: 125 });
+      assert.deepStrictEqual(await store.updateSettings('U1', { locale: null }), { price: 125 });
+      assert.deepStrictEqual(await store.getSettings('U2'), {});
+    } finally {
+      store.close();
+    }
+  });
+}
@@ -0,0 +1,79 @@
+// 📁 test/transfer.test.js
+
+// The /匯入 pipeline without the store: parsing "date,count" rows, comparing
+// them with existing totals and the changes an import writes.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_IMPORT_ROWS, parseDailyCsv, planImport, importChanges } = require('../transfer');
+
+const TODAY = '2026-10-19';
+
+test('parsing accepts a header, a BOM, "/" dates, tabs and full-width commas', () => {
+  const text = '\uFEFF日期,支數\r\n2026/10/3,5\n\n2026-10-01\t7\n2026-10-02，0\n';
+  assert.deepStrictEqual(parseDailyCsv(text, TODAY), {
+    rows: [
+      { day: '2026-10-01', count: 7 },
+      { day: '2026-10-02', count: 0 },
+      { day: '2026-10-03', count: 5 }
+    ],
+    errors: []
+  });
+});
+
+test('parsing reports every bad row by line number', () => {
+  const text = [
+    '2026-10-01,3',
+    '2026-02-30,1',
+    '2026-10-20,1',
+    '2026-10-02,-1',
+    '2026-10-03,201',
+    '2026-10-01,4',
+    '2026-10-04'
+  ].join('\n');
+  const { errors } = parseDailyCsv(text, TODAY);
+  assert.deepStrictEqual(errors.map(e => e.line), [2, 3, 4, 5, 6, 7]);
+  assert.match(errors[1].message, /還沒到/);
+  assert.match(errors[4].message, /第 1 行重複/);
+});
+
+test('parsing rejects empty input and more rows than allowed', () => {
+  assert.strictEqual(parseDailyCsv('date,count\n', TODAY).errors.length, 1);
+  const lines = [];
+  for (let i = 0; i <= MAX_IMPORT_ROWS; i++) {
+    lines.push(`${new Date(Date.UTC(2020, 0, 1 + i)).toISOString().slice(0, 10)},1`);
+  }
+  const { rows, errors } = parseDailyCsv(lines.join('\n'), TODAY);
+  assert.strictEqual(rows.length, MAX_IMPORT_ROWS + 1);
+  assert.match(errors[0].message, /最多匯入/);
+});
+
+test('planning sorts rows into added, same and conflicts', () => {
+  const rows = [
+    { day: '2026-10-01', count: 7 },
+    { day: '2026-10-02', count: 0 },
+    { day: '2026-10-03', count: 5 }
+  ];
+  const plan = planImport(rows, { '2026-10-02': 0, '2026-10-03': 2 });
+  assert.deepStrictEqual(plan, {
+    added: [{ day: '2026-10-01', count: 7 }],
+    same: [{ day: '2026-10-02', count: 0 }],
+    conflicts: [{ day: '2026-10-03', count: 5, current: 2 }]
+  });
+});
+
+test('changes keep existing records unless overwriting', () => {
+  const plan = {
+    added: [{ day: '2026-10-05', count: 4 }, { day: '2026-10-04', count: 0 }],
+    same: [{ day: '2026-10-02', count: 0 }],
+    conflicts: [{ day: '2026-10-03', count: 5, current: 2 }]
+  };
+  // An added zero day changes nothing and is left out.
+  assert.deepStrictEqual(importChanges(plan, false), [
+    { day: '2026-10-05', previous: 0, value: 4 }
+  ]);
+  assert.deepStrictEqual(importChanges(plan, true), [
+    { day: '2026-10-03', previous: 2, value: 5 },
+    { day: '2026-10-05', previous: 0, value: 4 }
+  ]);
+});
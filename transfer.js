@@ -0,0 +1,210 @@
+// 📁 transfer.js
+
+// Exporting and importing smoking history. /匯出 offers three downloads:
+//   daily    CSV of "date,count" rows, the same format /匯入 reads back
+//   events   CSV of the event log, one row per event
+//   json     both of the above plus settings, as one JSON document
+// /匯入 takes "date,count" rows (pasted after the command or sent as a .csv
+// file), validates every row and previews the result before anything is
+// written. Imported days are merged as "import" events that record the
+// previous and new totals like a correction does, so the event log still
+// explains every total.
+
+const { getStore } = require('./store');
+const { isDayKey } = require('./dates');
+
+// Largest import accepted in one go, in rows (about three years).
+const MAX_IMPORT_ROWS = 1100;
+
+// A single day's count above this is almost certainly a typo.
+const MAX_DAILY_COUNT = 200;
+
+// Event fields that get their own CSV column; the rest go into "extra".
+const EVENT_COLUMNS = ['ts', 'day', 'amount', 'type', 'tags'];
+
+// Quote a CSV field when it needs it.
+function csvField (value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine (fields) {
+  return fields.map(csvField).join(',');
+}
+
+/**
+ * Daily totals as CSV, oldest first.
+ */
+function toDailyCsv (totals) {
+  const lines = ['date,count'];
+  for (const day of Object.keys(totals).sort()) lines.push(csvLine([day, totals[day]]));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * The event log as CSV. Tags are joined with "|"; fields without a column
+ * of their own (previous, value, outcome, ...) are kept as JSON in "extra".
+ */
+function toEventsCsv (events) {
+  const lines = [csvLine(EVENT_COLUMNS.concat('extra'))];
+  for (const e of events) {
+    const extra = {};
+    for (const [key, value] of Object.entries(e)) {
+      if (key !== 'id' && !EVENT_COLUMNS.includes(key)) extra[key] = value;
+    }
+    lines.push(csvLine([
+      e.ts,
+      e.day,
+      e.amount,
+      e.type,
+      (e.tags || []).join('|'),
+      Object.keys(extra).length ? JSON.stringify(extra) : ''
+    ]));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build an export for a user. Resolves to { filename, type, body }.
+ */
+async function buildExport (userId, kind) {
+  const store = getStore();
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (kind === 'daily') {
+    return { filename: `smoking-daily-${stamp}.csv`, type: 'text/csv', body: toDailyCsv(await store.getDailyTotals(userId)) };
+  }
+  if (kind === 'events') {
+    return { filename: `smoking-events-${stamp}.csv`, type: 'text/csv', body: toEventsCsv(await store.listEvents(userId)) };
+  }
+  const totals = await store.getDailyTotals(userId);
+  const body = JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    daily: Object.keys(totals).sort().map(day => ({ date: day, count: totals[day] })),
+    events: await store.listEvents(userId),
+    settings: await store.getSettings(userId)
+  }, null, 2);
+  return { filename: `smoking-${stamp}.json`, type: 'application/json', body };
+}
+
+/**
+ * Parse "date,count" rows. A header line, blank lines, a BOM, "/" as the
+ * date separator and tabs or full-width commas between the fields are
+ * accepted. Returns { rows: [{ day, count }], errors: [{ line, message }] }
+ * with rows sorted by day; any error means nothing should be imported.
+ */
+function parseDailyCsv (text, today) {
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return;
+    const fields = line.split(/\s*[,，\t]\s*/);
+    if (i === 0 && !/\d/.test(fields[0])) return; // header
+    const lineNo = i + 1;
+    if (fields.length !== 2) {
+      errors.push({ line: lineNo, message: '每一行要是「日期,支數」' });
+      return;
+    }
+    const day = fields[0]
+      .replace(/\//g, '-')
+      .replace(/^(\d{4})-(\d{1,2})-(\d{1,2})$/, (m, y, mo, d) => `${y}-${mo.padStart(2, '0')}-${d.padStart(2, '0')}`);
+    if (!isDayKey(day)) {
+      errors.push({ line: lineNo, message: `看不懂日期「${fields[0]}」，請用 YYYY-MM-DD` });
+      return;
+    }
+    if (day > today) {
+      errors.push({ line: lineNo, message: `${day} 還沒到` });
+      return;
+    }
+    if (!/^\d+$/.test(fields[1]) || parseInt(fields[1], 10) > MAX_DAILY_COUNT) {
+      errors.push({ line: lineNo, message: `支數「${fields[1]}」要是 0 到 ${MAX_DAILY_COUNT} 的整數` });
+      return;
+    }
+    if (seen.has(day)) {
+      errors.push({ line: lineNo, message: `${day} 跟第 ${seen.get(day)} 行重複了` });
+      return;
+    }
+    seen.set(day, lineNo);
+    rows.push({ day, count: parseInt(fields[1], 10) });
+  });
+  if (rows.length > MAX_IMPORT_ROWS) {
+    errors.push({ line: lines.length, message: `一次最多匯入 ${MAX_IMPORT_ROWS} 天` });
+  }
+  if (!rows.length && !errors.length) errors.push({ line: 1, message: '沒有找到任何資料' });
+  rows.sort((a, b) => a.day.localeCompare(b.day));
+  return { rows, errors };
+}
+
+/**
+ * Compare rows with the existing daily totals. Returns
+ * { added, same, conflicts } where `added` are days without records,
+ * `same` already match and `conflicts` list { day, count, current } for days
+ * the bot recorded differently.
+ */
+function planImport (rows, totals) {
+  const plan = { added: [], same: [], conflicts: [] };
+  for (const row of rows) {
+    const current = totals[row.day];
+    if (current == null) plan.added.push(row);
+    else if (current === row.count) plan.same.push(row);
+    else plan.conflicts.push(Object.assign({ current }, row));
+  }
+  return plan;
+}
+
+/**
+ * The changes an import makes: every added day, plus the conflicts when
+ * `overwrite` is set. Each is { day, previous, value }.
+ */
+function importChanges (plan, overwrite) {
+  const changes = plan.added.map(r => ({ day: r.day, previous: 0, value: r.count }));
+  if (overwrite) {
+    for (const c of plan.conflicts) changes.push({ day: c.day, previous: c.current, value: c.count });
+  }
+  return changes.filter(c => c.value !== c.previous).sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Describe a parse failure: the first few row errors.
+ */
+function describeImportErrors (errors, limit = 10) {
+  const lines = [`資料有 ${errors.length} 個問題，這次沒有匯入任何東西：`];
+  for (const e of errors.slice(0, limit)) lines.push(`第 ${e.line} 行：${e.message}`);
+  if (errors.length > limit) lines.push(`……還有 ${errors.length - limit} 個`);
+  lines.push('', '修正後再傳一次就可以了。');
+  return lines.join('\n');
+}
+
+/**
+ * Describe the dry-run preview of an import.
+ */
+function describeImportPreview (rows, plan) {
+  const first = rows[0].day;
+  const last = rows[rows.length - 1].day;
+  const lines = [
+    `預覽：共 ${rows.length} 天（${first} ～ ${last}），還沒有寫入。`,
+    `・新增 ${plan.added.length} 天`,
+    `・和現有紀錄相同 ${plan.same.length} 天`
+  ];
+  if (plan.conflicts.length) {
+    lines.push(`・和現有紀錄不同 ${plan.conflicts.length} 天：`);
+    for (const c of plan.conflicts.slice(0, 5)) lines.push(`　${c.day}：目前 ${c.current} 支，檔案 ${c.count} 支`);
+    if (plan.conflicts.length > 5) lines.push(`　……還有 ${plan.conflicts.length - 5} 天`);
+    lines.push('', '「保留現有」只補上沒有紀錄的日子；「覆蓋」會改用檔案裡的數字。');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  toDailyCsv,
+  toEventsCsv,
+  buildExport,
+  parseDailyCsv,
+  planImport,
+  importChanges,
+  describeImportErrors,
+  describeImportPreview
+};
@@ -0,0 +1,157 @@
+// 📁 triggers.js
+
+// Trigger and context tags on adjustments. A message like "+2 壓力 #工作"
+// logs two cigarettes tagged 壓力 and 工作. The tags are stored on the event
+// and /分析 breaks the recent log down by trigger, hour and weekday.
+
+const { getLocalParts } = require('./dates');
+const { sparkline } = require('./charts');
+
+const WEEKDAYS = ['日', '一', '二', '三', '四', '五', '六'];
+
+// Coarse parts of the day used to find trigger/time combinations.
+const DAY_PARTS = [
+  { name: '凌晨', from: 0, to: 6 },
+  { name: '早上', from: 6, to: 12 },
+  { name: '下午', from: 12, to: 18 },
+  { name: '晚上', from: 18, to: 24 }
+];
+
+// Label for cigarettes logged without any tag.
+const UNTAGGED = '未標記';
+
+/**
+ * Parse an adjustment message: "+n", "-n", "/+n", "/-n", optionally followed
+ * by tags separated by spaces ("+1 咖啡", "+1咖啡", "+2 壓力 #工作"). Returns
+ * { amount, tags } or null if the message is not an adjustment.
+ */
+function parseAdjustment (msg) {
+  // One sign only: "/+3" and "/-3" carry it after the slash, a bare "/3"
+  // counts as +3, and "--3" or "+-3" are not adjustments.
+  const m = /^(?:([+-])|\/([+-]?))(\d+)(?:\s*(.+))?$/.exec(msg);
+  if (!m) return null;
+  const sign = (m[1] || m[2]) === '-' ? -1 : 1;
+  const amount = sign * parseInt(m[3], 10);
+  return { amount, tags: parseTags(m[4] || '') };
+}
+
+// Split free text into unique tags, dropping any leading '#'.
+function parseTags (text) {
+  const tags = [];
+  for (const word of text.split(/\s+/)) {
+    const tag = word.replace(/^#+/, '').trim();
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  }
+  return tags;
+}
+
+/**
+ * Merge newly seen tags into a user's list of known triggers, keeping the
+ * order in which they were first used. Returns the updated list.
+ */
+function mergeTriggers (known, tags) {
+  const list = Array.isArray(known) ? known.slice() : [];
+  for (const tag of tags) {
+    if (!list.includes(tag)) list.push(tag);
+  }
+  return list;
+}
+
+// Add `amount` to counts[key].
+function bump (counts, key, amount) {
+  counts[key] = (counts[key] || 0) + amount;
+}
+
+// Sort an object of counts into [key, count] pairs, largest first.
+function ranked (counts) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Break a list of events down by trigger, hour of day, weekday and
+ * trigger × part of day. Only cigarettes actually smoked (positive
+ * adjustments) are counted; times are read in the user's timezone.
+ */
+function analyseEvents (events, timeZone) {
+  const byTrigger = {};
+  const byHour = new Array(24).fill(0);
+  const byWeekday = new Array(7).fill(0);
+  const byCombo = {};
+  let total = 0;
+  for (const e of events) {
+    if (e.type !== 'adjust' || e.amount <= 0) continue;
+    const local = getLocalParts(new Date(e.ts), timeZone);
+    const tags = e.tags && e.tags.length ? e.tags : [UNTAGGED];
+    const part = DAY_PARTS.find(p => local.hour >= p.from && local.hour < p.to).name;
+    total += e.amount;
+    byHour[local.hour] += e.amount;
+    byWeekday[local.weekday] += e.amount;
+    for (const tag of tags) {
+      bump(byTrigger, tag, e.amount);
+      if (tag !== UNTAGGED) bump(byCombo, `${part}・${tag}`, e.amount);
+    }
+  }
+  return { total, byTrigger, byHour, byWeekday, byCombo };
+}
+
+// Percentage of `n` in `total`, rounded.
+function percent (n, total) {
+  return Math.round((n / total) * 100);
+}
+
+/**
+ * Compose the /分析 report for the given analysis over `days` days.
+ */
+function composeAnalysisReport (analysis, days) {
+  const { total, byTrigger, byHour, byWeekday, byCombo } = analysis;
+  if (total === 0) {
+    return `最近 ${days} 天沒有抽菸紀錄，沒有東西可以分析呢。記錄時加上原因，例如「+1 咖啡」，分析會更準確喔。`;
+  }
+  const lines = [`最近 ${days} 天共 ${total} 支，分析如下：`, '', '依觸發原因：'];
+  for (const [tag, n] of ranked(byTrigger).slice(0, 6)) {
+    lines.push(`${tag}：${n} 支（${percent(n, total)}%）`);
+  }
+  lines.push('', '依時段（0–23 點）：', sparkline(byHour));
+  const peakHours = byHour
+    .map((n, hour) => ({ hour, n }))
+    .filter(h => h.n > 0)
+    .sort((a, b) => b.n - a.n)
+    .slice(0, 3)
+    .map(h => `${h.hour} 點（${h.n} 支）`);
+  lines.push(`最常抽的時段：${peakHours.join('、')}`);
+  lines.push('', '依星期：');
+  lines.push(byWeekday.map((n, i) => `${WEEKDAYS[i]} ${n}`).join('｜'));
+
+  // Point out the strongest patterns.
+  const patterns = [];
+  const [topTrigger, topTriggerCount] = ranked(byTrigger).find(([tag]) => tag !== UNTAGGED) || [];
+  if (topTrigger) {
+    patterns.push(`「${topTrigger}」是最大的觸發因素，佔了 ${percent(topTriggerCount, total)}%。`);
+  }
+  const [topCombo, topComboCount] = ranked(byCombo)[0] || [];
+  if (topCombo && topComboCount >= 2) {
+    patterns.push(`「${topCombo}」最容易想抽，共 ${topComboCount} 支。`);
+  }
+  const peakDay = byWeekday.indexOf(Math.max(...byWeekday));
+  const average = total / 7;
+  if (byWeekday[peakDay] >= average * 1.5) {
+    patterns.push(`星期${WEEKDAYS[peakDay]}抽得特別多，可以提早準備替代方案。`);
+  }
+  if (byTrigger[UNTAGGED] && percent(byTrigger[UNTAGGED], total) >= 50) {
+    patterns.push('超過一半的紀錄沒有標記原因，試著用「+1 原因」記錄吧。');
+  }
+  if (patterns.length) {
+    lines.push('', '悠悠發現：');
+    patterns.forEach(p => lines.push(`・${p}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  UNTAGGED,
+  parseAdjustment,
+  parseTags,
+  mergeTriggers,
+  analyseEvents,
+  composeAnalysisReport
+};